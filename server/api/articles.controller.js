@@ -1,25 +1,138 @@
 'use strict'
 
+const _ = require('lodash')
 const httpErrors = require('http-errors')
+const { validationError } = require('../errors')
+const linking = require('../linking')
 const models = require('../models')
 
+/**
+ * Helper to load req.params.id for the handler. Hidden and deleted articles only exist for moderators.
+ * handler(req, res, next, article)
+ */
+function withArticle (handler) {
+  return function (req, res, next) {
+    models.Article.getById(req.params.id)
+      .then(article => {
+        if (!article || ((article.hidden || article.deleted) && !req.session.moderate)) {
+          return next(httpErrors(404))
+        }
+        return handler(req, res, next, article)
+      })
+      .catch(err => { next(err) })
+  }
+}
+
+/**
+ * Helper to fail unless the member may change the article. Changes by moderators are audited.
+ * resolves to the article
+ */
+function authorizeChange (req, article, action) {
+  if (!article.canChange(req.member, req.session)) {
+    return Promise.reject(httpErrors(403, 'only the author or a moderator may change this article'))
+  }
+  if (article.author && article.author.handle === req.member.handle) {
+    return Promise.resolve(article)
+  }
+  return models.Audit.record(action, article.id, req.member.handle, _.get(req.body, 'reason', ''))
+    .then(() => article)
+}
+
+/**
+ * Helper to parse an optional ISO date query parameter. returns null if present but invalid
+ */
+function parseDate (value) {
+  if (!value) {
+    return undefined
+  }
+  let date = new Date(value)
+  return isNaN(date.getTime()) ? null : date
+}
+
+/**
+ * GET /articles?topic=&author=&since=&until=&sort=newest|oldest&limit=&cursor=
+ * sort defaults to the topic's defaultSort, then newest
+ * responds { data, next } where next is the cursor for the following page or null
+ */
 exports.index = function (req, res, next) {
-  models.Article.findByAuthor()
-    .then(articles => {
-      return res.json({ data: articles })
+  let since = parseDate(req.query.since)
+  let until = parseDate(req.query.until)
+  if (since === null || until === null) {
+    return next(validationError([ { field: since === null ? 'since' : 'until', message: 'must be an ISO date' } ]))
+  }
+  if (req.query.sort && ![ 'newest', 'oldest' ].includes(req.query.sort)) {
+    return next(validationError([ { field: 'sort', message: 'must be newest or oldest' } ]))
+  }
+  let author = req.query.author === '@me' ? Promise.resolve(req.member)
+    : req.query.author ? models.Member.getByHandle(String(req.query.author)) : Promise.resolve()
+  author
+    .then(member => {
+      if (req.query.author && !member) {
+        return { articles: [], next: null } // nobody by that handle
+      }
+      return models.Article.find({
+        author: member,
+        topicId: req.query.topic,
+        since,
+        until,
+        sort: req.query.sort || _.get(models.Topic.getById(req.query.topic), 'defaultSort'),
+        limit: req.query.limit,
+        cursor: req.query.cursor,
+      })
+    })
+    .then(result => {
+      return res.json({ data: result.articles, next: result.next })
     })
   .catch(err => { next(err) })
 }
 
+exports.view = withArticle((req, res, next, article) => {
+  res.json(article)
+})
+
+/**
+ * POST /articles { topicId, text, parentId } where parentId is optional when replying
+ * the body is validated by schemas.createArticle
+ */
 exports.create = function (req, res, next) {
-  const topic = models.Topic.getById(req.topicId)
-  if (topic && req.data.text) {
-    models.Article.insert(topic, req.data, req.member)
-      .then(result => {
-        return res.status(201).json(result)
-      })
-      .catch(err => { next(err) })
-  } else {
-    next(httpErrors(400))
-  }
+  const topic = models.Topic.getById(req.body.topicId)
+  let parent = req.body.parentId ? models.Article.getById(req.body.parentId) : Promise.resolve()
+  parent
+    .then(parent => {
+      if (req.body.parentId && (!parent || parent.hidden || parent.deleted)) {
+        throw validationError([ { field: 'parentId', message: 'must be an existing article' } ])
+      }
+      return models.Article.insert(topic, { text: req.body.text, parent, ip: req.ip }, req.member)
+    })
+    .then(result => {
+      linking.recordArticle(req.session.sub, result)
+      return res.status(201).json(result)
+    })
+    .catch(err => { next(err) })
+}
+
+/**
+ * GET /articles/:id/thread?depth=5 responds with the article and its replies as a tree
+ */
+exports.thread = function (req, res, next) {
+  models.Article.getThread(req.params.id, req.query.depth, req.session.moderate)
+    .then(thread => {
+      if (!thread || ((thread.hidden || thread.deleted) && !req.session.moderate)) {
+        return next(httpErrors(404))
+      }
+      res.json(thread)
+    })
+    .catch(err => { next(err) })
 }
+
+exports.update = withArticle((req, res, next, article) => {
+  return authorizeChange(req, article, 'article.edit')
+    .then(() => article.edit(req.body.text, req.member.handle))
+    .then(result => res.json(result))
+})
+
+exports.remove = withArticle((req, res, next, article) => {
+  return authorizeChange(req, article, 'article.delete')
+    .then(() => article.remove(req.member.handle))
+    .then(() => res.status(204).end())
+})
@@ -1,9 +1,13 @@
 'use strict'
 
 const express = require('express')
+const { requireScope } = require('../session')
+const { routeValidateBody: body } = require('../validation')
+const schemas = require('../../shared/schemas')
 
 const articles = require('./articles.controller')
 const members = require('./members.controller')
+const moderation = require('./moderation.controller')
 const topics = require('./topics.controller')
 
 const queryRouter = express.Router()
@@ -12,11 +16,33 @@ queryRouter.param('id', function (req, res, next, id) { // for parsing simple pa
   next()
 })
 queryRouter.get('/articles', articles.index)
+queryRouter.get('/articles/:id', articles.view)
+queryRouter.get('/articles/:id/thread', articles.thread)
+queryRouter.get('/members/@me/sessions', members.listSessions)
 queryRouter.get('/members/:id', members.view)
 queryRouter.get('/topics', topics.index)
+queryRouter.get('/moderation/audit', requireScope('moderate'), moderation.audit)
+queryRouter.get('/moderation/logs', requireScope('moderate'), moderation.logLevels)
 
+// every mutation validates its body first, see shared/schemas.js
 const mutationRouter = express.Router()
-mutationRouter.post('/articles', articles.create)
+mutationRouter.post('/articles', body(schemas.createArticle), articles.create)
+mutationRouter.put('/articles/:id', body(schemas.updateArticle), articles.update)
+mutationRouter.delete('/articles/:id', body(schemas.removeArticle), articles.remove)
+mutationRouter.post('/members/@me/link-codes', body(schemas.none), members.createLinkCode)
+mutationRouter.post('/members/@me/claims', body(schemas.redeemLinkCode), members.redeemLinkCode)
+mutationRouter.delete('/members/@me/claims/:id', body(schemas.none), members.rejectClaim)
+mutationRouter.delete('/members/@me/sessions/:id', body(schemas.none), members.revokeSession)
+mutationRouter.post('/members/@me/password', body(schemas.password), members.addPassword)
+mutationRouter.put('/members/@me/password', requireScope('sensitive'), body(schemas.password), members.changePassword)
+mutationRouter.use('/moderation', requireScope('moderate'))
+mutationRouter.post('/moderation/articles/:id/hide', body(schemas.moderate), moderation.hideArticle)
+mutationRouter.post('/moderation/articles/:id/restore', body(schemas.moderate), moderation.restoreArticle)
+mutationRouter.post('/moderation/topics/:id/lock', body(schemas.moderate), moderation.lockTopic)
+mutationRouter.post('/moderation/topics/:id/unlock', body(schemas.moderate), moderation.unlockTopic)
+mutationRouter.post('/moderation/members/:id/flags', body(schemas.moderate), moderation.flagMember)
+mutationRouter.put('/moderation/members/:id/moderator', body(schemas.setModerator), moderation.setModerator)
+mutationRouter.put('/moderation/logs', body(schemas.setLogLevels), moderation.setLogLevels)
 
 exports.queryRouter = queryRouter
 exports.mutationRouter = mutationRouter
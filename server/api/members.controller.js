@@ -1,17 +1,128 @@
 'use strict'
 
+const _ = require('lodash')
 const httpErrors = require('http-errors')
+const { ipPrefix } = require('../linking')
 const models = require('../models')
+const profiles = require('../profiles')
 
 exports.view = function (req, res, next) {
-  if (req.params.id === '@me') {
-    res.json(req.member)
-  } else {
-    models.Member.getByHandle(req.params.id)
-      .then(result => {
-        if (!result) return next(httpErrors(404))
-        res.json(result)
-      })
-      .catch(err => next(err))
+  let member = req.params.id === '@me' ? Promise.resolve(req.member) : models.Member.getByHandle(req.params.id)
+  member
+    .then(result => {
+      if (!result) return next(httpErrors(404))
+      return profiles.getProfile(result, { moderator: req.session.moderate })
+        .then(profile => res.json(profile))
+    })
+    .catch(err => next(err))
+}
+
+exports.createLinkCode = function (req, res, next) {
+  req.member.createLinkCode(req.session.sub)
+    .then(result => res.status(201).json(result))
+    .catch(err => next(err))
+}
+
+exports.redeemLinkCode = function (req, res, next) {
+  models.Member.redeemLinkCode(req.body.code, req.session.sub)
+    .then(result => {
+      if (!result) return next(httpErrors(400, 'link code invalid or expired', { code: 'link_code_invalid' }))
+      req.member = result.member // this user agent now belongs to the claiming member
+      res.status(201).json(profiles.publicClaim(result.claim))
+    })
+    .catch(err => next(err))
+}
+
+exports.rejectClaim = function (req, res, next) {
+  req.member.rejectClaim(req.params.id)
+    .then(result => {
+      if (!result) return next(httpErrors(404))
+      res.json(profiles.publicClaim(result))
+    })
+    .catch(err => next(err))
+}
+
+exports.addPassword = function (req, res, next) {
+  req.member.hasPassword()
+    .then(exists => {
+      if (exists) {
+        return next(httpErrors(409, 'password already set, change it with the sensitive scope', { code: 'password_exists' }))
+      }
+      return req.member.setPassword(req.body.password)
+        .then(() => res.status(201).json({ handle: req.member.handle, password: true }))
+    })
+    .catch(err => next(err))
+}
+
+exports.changePassword = function (req, res, next) {
+  req.member.setPassword(req.body.password)
+    .then(() => res.json({ handle: req.member.handle, password: true }))
+    .catch(err => next(err))
+}
+
+/**
+ * Helper to summarize a user agent string as e.g. 'Firefox 52 on Windows'
+ */
+function summarizeUserAgent (userAgent) {
+  if (!userAgent) {
+    return 'unknown'
+  }
+  // order matters, e.g. Edge and Opera also claim to be Chrome, and Chrome claims to be Safari
+  let browser = _.find([
+    [ 'Edge', /Edg(?:e|A|iOS)?\/(\d+)/ ],
+    [ 'Opera', /OPR\/(\d+)/ ],
+    [ 'Firefox', /Firefox\/(\d+)/ ],
+    [ 'Chrome', /Chrome\/(\d+)/ ],
+    [ 'Safari', /Version\/(\d+).*Safari/ ],
+    [ 'Internet Explorer', /(?:MSIE |Trident.*rv:)(\d+)/ ],
+  ], ([ name, pattern ]) => pattern.test(userAgent))
+  let os = _.find([
+    [ 'Windows', /Windows/ ],
+    [ 'Android', /Android/ ],
+    [ 'iOS', /iPhone|iPad|iPod/ ],
+    [ 'macOS', /Mac OS X/ ],
+    [ 'Linux', /Linux/ ],
+  ], ([ name, pattern ]) => pattern.test(userAgent))
+  let summary = browser
+    ? `${browser[0]} ${userAgent.match(browser[1])[1]}`
+    : userAgent.split(/[\s/]/)[0] // e.g. curl/7.52.1 is 'curl'
+  return os ? `${summary} on ${os[0]}` : summary
+}
+
+/**
+ * Helper to show a tracker record to its member. region is only the network (IPv4 /24 or IPv6 /48), not a place
+ */
+function publicSession (session, current) {
+  return {
+    id: session.tracker,
+    current: session.tracker === current,
+    firstSeen: session.firstSeen || null,
+    lastSeen: session.lastSeen || null,
+    userAgent: summarizeUserAgent(session.userAgent),
+    region: ipPrefix(session.ip) || null,
+  }
+}
+
+exports.listSessions = function (req, res, next) {
+  req.member.getSessions()
+    .then(sessions => res.json(_.orderBy(sessions.map(session => publicSession(session, req.session.sub)),
+      [ 'current', 'lastSeen' ], [ 'desc', 'desc' ])))
+    .catch(err => next(err))
+}
+
+exports.revokeSession = function (req, res, next) {
+  if (req.params.id === req.session.sub) {
+    return next(httpErrors(400, 'use abandon to leave the current session'))
   }
+  req.member.getSessions()
+    .then(sessions => {
+      let session = _.find(sessions, { tracker: req.params.id })
+      if (!session) return next(httpErrors(404))
+      // the user agent's refresh token is rejected on next use and it starts over as a new linked identity
+      return models.Member.revokeTracker(session.tracker, 'revoked by member', req.member.handle)
+        .then(revocation => res.json(_.extend(publicSession(session, req.session.sub), {
+          revokedAt: revocation.revokedAt,
+        })))
+    })
+    .catch(err => next(err))
 }
@@ -0,0 +1,91 @@
+'use strict'
+
+const _ = require('lodash')
+const httpErrors = require('http-errors')
+const { validationError } = require('../errors')
+const logs = require('../logs')
+const models = require('../models')
+
+/**
+ * Helper to read the optional moderation reason from the request body
+ */
+function reasonOf (req) {
+  return _.isString(_.get(req.body, 'reason')) ? req.body.reason : ''
+}
+
+/**
+ * Helper to create a handler that applies action(req) then writes the audit log entry
+ * action resolves to the changed object or undefined if the target doesn't exist
+ */
+function audited (name, action) {
+  return function (req, res, next) {
+    action(req)
+      .then(result => {
+        if (!result) return next(httpErrors(404))
+        return models.Audit.record(name, req.params.id, req.member.handle, reasonOf(req))
+          .then(() => res.json(result))
+      })
+      .catch(err => next(err))
+  }
+}
+
+exports.hideArticle = audited('article.hide', req => models.Article.setHidden(req.params.id, true))
+
+exports.restoreArticle = audited('article.restore', req => models.Article.setHidden(req.params.id, false))
+
+exports.lockTopic = audited('topic.lock', req => models.Topic.setLocked(req.params.id, true))
+
+exports.unlockTopic = audited('topic.unlock', req => models.Topic.setLocked(req.params.id, false))
+
+/**
+ * Helper to reduce a member to what moderators need to see, without trackers
+ */
+function moderatedMember (member) {
+  return member && _.pick(member, [ 'handle', 'moderator', 'flags' ])
+}
+
+exports.flagMember = audited('member.flag', req =>
+  models.Member.getByHandle(req.params.id)
+    .then(member => member && member.flag(reasonOf(req), req.member.handle))
+    .then(moderatedMember))
+
+exports.setModerator = audited('member.moderator', req =>
+  models.Member.getByHandle(req.params.id)
+    .then(member => member && _.extend(member, { moderator: req.body.moderator }).save())
+    .then(moderatedMember))
+
+exports.audit = function (req, res, next) {
+  models.Audit.find(req.query.target)
+    .then(entries => res.json({ data: entries }))
+    .catch(err => next(err))
+}
+
+exports.logLevels = function (req, res) {
+  res.json(logs.getLevels())
+}
+
+/**
+ * Change log levels on the running server
+ * body: { level: 'info,session=trace', trace: { sessionId, reqId, level } or null, reason } see schemas.setLogLevels
+ * level and trace are each optional, omitting one leaves it unchanged
+ */
+exports.setLogLevels = function (req, res, next) {
+  let body = req.body
+  let levels
+  let field = 'level'
+  try {
+    if (_.has(body, 'level')) {
+      levels = logs.setLevels(body.level)
+    }
+    field = 'trace'
+    if (_.has(body, 'trace')) {
+      levels = logs.setTrace(body.trace)
+    }
+  } catch (err) {
+    return next(validationError([ { field, message: err.message } ]))
+  }
+  if (!levels) return next(validationError([ { field: 'level', message: 'or trace is required' } ]))
+  models.Audit.record('logs.level', 'logs', req.member.handle, reasonOf(req))
+    .then(() => res.json(levels))
+    .catch(err => next(err))
+}
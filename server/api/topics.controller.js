@@ -2,6 +2,9 @@
 
 const models = require('../models')
 
+/**
+ * GET /topics responds { data } with each topic and its content rules, see topic.model.js
+ */
 exports.index = function (req, res, next) {
   return res.json({ data: models.Topic.find() })
 }
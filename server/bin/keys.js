@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+
+// manage the JWT signing keyring, see keyring.js
+// usage:
+//   node server/bin/keys list
+//   node server/bin/keys add [HS256|RS256|ES256]
+//   node server/bin/keys retire <kid>
+// keys are kept in storage (use STORAGE=jsonlog) and read by the server at startup, so restart it afterwards
+
+require('dotenv').config({ silent: true })
+
+// the server may be appending to the same log right now, so only ever append to it here
+process.env.STORAGE_COMPACT = 'false'
+
+const { Keyring } = require('../keyring')
+
+const [ command, arg ] = process.argv.slice(2)
+
+if ((process.env.STORAGE || 'memory').trim().toLowerCase() === 'memory') {
+  console.error('Warning: STORAGE=memory, key changes are lost when this command exits')
+}
+
+const commands = {
+  list: () => Keyring.listKeys(),
+  add: () => Keyring.addKey((arg || 'HS256').toUpperCase())
+    .then(key => ({ kid: key.kid, algorithm: key.algorithm, createdAt: key.createdAt })),
+  retire: () => Keyring.retireKey(arg)
+    .then(key => {
+      if (!key) {
+        throw new Error(`no key ${arg}`)
+      }
+      return { kid: key.kid, retiredAt: key.retiredAt }
+    }),
+}
+
+if (!commands[command] || (command === 'retire' && !arg)) {
+  console.error('usage: keys list | add [HS256|RS256|ES256] | retire <kid>')
+  process.exit(2)
+}
+
+Promise.resolve()
+  .then(commands[command])
+  .then(value => console.log(JSON.stringify(value, null, 2)))
+  .catch(err => {
+    console.error(err.message)
+    process.exit(1)
+  })
@@ -0,0 +1,120 @@
+/**
+ * The JSON error contract shared by every API route
+ *
+ * Every error response has the body:
+ *   {
+ *     status: 400, // the HTTP status
+ *     code: 'validation_failed', // machine readable, see codes below. stable unlike message
+ *     message: 'text is required', // human readable
+ *     logId: 'T abcde 12345', // find the request in the server logs
+ *     details: [ { field: 'text', message: 'is required' } ], // optional, field level validation failures
+ *     stack: '...', // server errors in development only
+ *   }
+ * Routes pass errors to next(err) as usual, preferably http-errors with an optional code, details and headers:
+ *   next(httpErrors(409, 'password already set', { code: 'password_exists' }))
+ *   next(validationError([ { field: 'text', message: 'is required' } ]))
+ * Server errors (5xx) never expose their message or stack in production.
+ */
+'use strict'
+
+const logger = require('./logs').logger('errors')
+
+const _ = require('lodash')
+const { STATUS_CODES } = require('http')
+const httpErrors = require('http-errors')
+
+/**
+ * default code by status, otherwise derived from the status text e.g. 'im_a_teapot'
+ */
+const codes = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  429: 'too_many_requests',
+  500: 'internal_error',
+}
+
+/**
+ * jsonwebtoken errors that escape to the error handler are bad credentials, never server errors
+ */
+const jwtErrors = {
+  TokenExpiredError: [ 'credentials expired', 'credentials_expired' ],
+  NotBeforeError: [ 'credentials invalid', 'credentials_invalid' ],
+  JsonWebTokenError: [ 'credentials invalid', 'credentials_invalid' ],
+}
+
+/**
+ * Returns a 400 error with field level details: [ { field, message } ]
+ * The message summarizes the first detail, e.g. 'text is required'
+ */
+function validationError (details) {
+  let first = _.head(details)
+  return httpErrors(400, first ? `${first.field} ${first.message}` : 'validation failed', {
+    code: 'validation_failed',
+    details,
+  })
+}
+exports.validationError = validationError
+
+/**
+ * Helper returning err as an http error with a status
+ */
+function normalizeError (err) {
+  if (err && jwtErrors[err.name]) {
+    let [ message, code ] = jwtErrors[err.name]
+    return httpErrors(401, message, { code })
+  }
+  let status = _.get(err, 'status') || _.get(err, 'statusCode')
+  if (!_.isInteger(status) || status < 400 || status > 599) {
+    return httpErrors(500, err instanceof Error ? err : String(err))
+  }
+  return err
+}
+
+/**
+ * Returns the JSON body for err, see above
+ * options: { stack: true } to include the message and stack of server errors, development only
+ */
+function errorBody (err, logId, options) {
+  err = normalizeError(err)
+  let status = err.status || err.statusCode
+  // http-errors only exposes client (4xx) errors, others get the status text, e.g. 'Internal Server Error'
+  // unless debugging with stacks
+  let debug = _.get(options, 'stack') && !err.expose
+  let expose = err.expose || debug
+  let code = err.expose && _.isString(err.code) ? err.code : codes[status] || _.snakeCase(STATUS_CODES[status] || 'error')
+  return _.omitBy({
+    status,
+    code,
+    message: expose ? err.message : STATUS_CODES[status],
+    logId,
+    details: err.expose ? err.details : undefined,
+    stack: debug ? err.stack : undefined,
+  }, _.isUndefined)
+}
+exports.errorBody = errorBody
+
+/**
+ * Error handling middleware responding with the JSON error body. Must be the last route defined
+ * options: as for errorBody
+ */
+function routeErrorHandler (options) {
+  return function errorHandler (err, req, res, next) {
+    let body = errorBody(err, req.logId, options)
+    if (body.status >= 500) {
+      logger.id(req).error('%s %s failed %s', req.method, req.originalUrl, _.get(err, 'stack', err))
+    } else {
+      logger.id(req).debug('%s %s %d %s', req.method, req.originalUrl, body.status, body.message)
+    }
+    if (res.headersSent) {
+      return next(err) // too late for a body, let express close the connection
+    }
+    if (_.get(err, 'expose') && err.headers) {
+      res.set(err.headers) // e.g. Retry-After
+    }
+    res.status(body.status).json(body)
+  }
+}
+exports.routeErrorHandler = routeErrorHandler
@@ -0,0 +1,172 @@
+/**
+ * JWT signing keyring - rotate signing keys without logging every tracker out
+ *
+ * Key shape: {
+ *   kid: stamped in the header of every JWT signed with the key,
+ *   algorithm: 'HS256', 'RS256' or 'ES256',
+ *   secret: HS256 shared secret, or
+ *   privateKey, publicKey: RS256 and ES256 PEM key pair. other services verify with the public key, see jwks()
+ *   createdAt, retiredAt: ISO dates,
+ * }
+ * New tokens are signed with the newest active key. Tokens verify against any key that isn't retired, so adding a
+ * key logs nobody out while retiring one invalidates every token signed with it.
+ * SESSION_SECRET is kept as the oldest HS256 key (kid 'env'). Tokens without a kid were signed with it.
+ *
+ * storage collection: signingKeys keyed by kid, managed with the admin command bin/keys.js.
+ * Keys are read at startup so restart the server after changing them.
+ */
+'use strict'
+
+const logger = require('./logs').logger('keyring')
+
+const _ = require('lodash')
+const crypto = require('crypto')
+const jsonWebToken = require('jsonwebtoken')
+const { store } = require('./storage')
+
+const ENV_KID = 'env'
+const ALGORITHMS = [ 'HS256', 'RS256', 'ES256' ]
+
+class Keyring {
+  /**
+   * options:
+   *   secret: SESSION_SECRET, // optional
+   *   load: true, // add the keys in storage
+   */
+  constructor (options) {
+    this.keys = []
+    if (options.secret) {
+      this.keys.push({ kid: ENV_KID, algorithm: 'HS256', secret: options.secret, createdAt: (new Date(0)).toISOString() })
+    }
+    this.ready = options.load === false ? Promise.resolve(this) : store.find('signingKeys')
+      .then(keys => {
+        keys.forEach(key => this.keys.push(key))
+        logger.info('loaded %d signing keys, signing with %s', keys.length, _.get(this.signingKey(), 'kid'))
+        return this
+      })
+  }
+
+  /**
+   * Returns the key new tokens are signed with, the newest active key, or undefined if there are none
+   */
+  signingKey () {
+    return _.maxBy(this.keys.filter(key => !key.retiredAt), 'createdAt')
+  }
+
+  /**
+   * Returns the active key for kid, or the SESSION_SECRET key if kid is missing
+   */
+  getKey (kid) {
+    return _.find(this.keys, key => key.kid === (kid || ENV_KID) && !key.retiredAt)
+  }
+
+  /**
+   * Sign a JWT with the newest key, see jsonWebToken.sign
+   * callback done(err, jwt)
+   */
+  sign (payload, options, done) {
+    this.ready.then(() => {
+      let key = this.signingKey()
+      if (!key) {
+        return done(new Error('no active signing key'))
+      }
+      jsonWebToken.sign(payload, key.secret || key.privateKey, _.extend({}, options, {
+        algorithm: key.algorithm,
+        keyid: key.kid,
+      }), done)
+    }, done)
+  }
+
+  /**
+   * Verify a JWT with the key named by its kid, see jsonWebToken.verify
+   * callback done(err, decoded)
+   */
+  verify (jwt, options, done) {
+    this.ready.then(() => {
+      let header = _.get(jsonWebToken.decode(jwt, { complete: true }), 'header')
+      let key = header && this.getKey(header.kid)
+      if (!key) {
+        return done(new jsonWebToken.JsonWebTokenError(header ? 'unknown signing key' : 'jwt malformed'))
+      }
+      // only accept the key's own algorithm, e.g. never HS256 signed with an RS256 public key
+      jsonWebToken.verify(jwt, key.secret || key.publicKey, _.extend({}, options, {
+        algorithms: [ key.algorithm ],
+      }), done)
+    }, done)
+  }
+
+  /**
+   * Returns the public keys of the active asymmetric keys as a JSON Web Key Set
+   */
+  jwks () {
+    return {
+      keys: this.keys
+        .filter(key => !key.retiredAt && key.publicKey)
+        .map(key => _.extend(crypto.createPublicKey(key.publicKey).export({ format: 'jwk' }), {
+          kid: key.kid,
+          alg: key.algorithm,
+          use: 'sig',
+        })),
+    }
+  }
+
+  /**
+   * Returns a new random key record for algorithm
+   */
+  static generateKey (algorithm) {
+    if (!ALGORITHMS.includes(algorithm)) {
+      throw new Error(`unsupported algorithm ${algorithm}, use one of ${ALGORITHMS.join(', ')}`)
+    }
+    let key = {
+      kid: crypto.randomBytes(8).toString('hex'),
+      algorithm,
+      createdAt: (new Date()).toISOString(),
+    }
+    if (algorithm === 'HS256') {
+      return _.extend(key, { secret: crypto.randomBytes(32).toString('base64') })
+    }
+    let pair = crypto.generateKeyPairSync(algorithm === 'RS256' ? 'rsa' : 'ec', {
+      modulusLength: 2048,
+      namedCurve: 'P-256',
+      publicKeyEncoding: { type: 'spki', format: 'pem' },
+      privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+    })
+    return _.extend(key, { privateKey: pair.privateKey, publicKey: pair.publicKey })
+  }
+
+  /**
+   * Generate and store a new key, it signs new tokens once the server restarts
+   * resolves to the key
+   */
+  static addKey (algorithm) {
+    let key = Keyring.generateKey(algorithm)
+    logger.info('addKey %s %s', key.kid, algorithm)
+    return store.put('signingKeys', key.kid, key)
+  }
+
+  /**
+   * Retire a stored key, tokens signed with it no longer verify once the server restarts
+   * resolves to the key or undefined if there is no such key
+   */
+  static retireKey (kid) {
+    return store.get('signingKeys', kid)
+      .then(key => {
+        if (!key) {
+          return
+        }
+        key.retiredAt = key.retiredAt || (new Date()).toISOString()
+        logger.info('retireKey %s', kid)
+        return store.put('signingKeys', kid, key)
+      })
+  }
+
+  /**
+   * Resolves to the stored keys without their secrets
+   */
+  static listKeys () {
+    return store.find('signingKeys')
+      .then(keys => keys.map(key => _.pick(key, [ 'kid', 'algorithm', 'createdAt', 'retiredAt' ])))
+  }
+}
+
+exports.Keyring = Keyring
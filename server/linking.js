@@ -0,0 +1,393 @@
+/**
+ * Return visitor linking - infer which members are probably the same person
+ *
+ * We keep a behavioral fingerprint per tracker (user agent) built from request and authoring signals:
+ * - ipPrefixes: IPv4 /24 or IPv6 /48 network prefix counts
+ * - userAgents: user agent string counts
+ * - hours: activity histogram by UTC hour of day
+ * - topics: article counts by topic id
+ * - style: running sums of writing-style features of authored articles, see styleFeatures
+ *
+ * Fingerprints of a member's trackers are aggregated into a profile and scored against the profiles of every other
+ * member. Each signal scores 0..1 and the weighted sum is the confidence that the members are the same person.
+ * The scoring functions are pure so they can be exercised offline with synthetic fingerprints.
+ * Fingerprints are read from storage once, then cached and kept up to date as they are recorded. Aggregated profiles
+ * are cached per handle until one of its fingerprints changes, and suspects per handle for SUSPECTS_MAX_AGE or until
+ * the member's own fingerprints or links change (the memberLinked event).
+ *
+ * storage collection: fingerprints keyed by tracker
+ */
+'use strict'
+
+const logger = require('./logs').logger('linking')
+
+const _ = require('lodash')
+const { store } = require('./storage')
+const { pubsub } = require('./subscriptions')
+
+const SUSPECTS_MAX_AGE = 10 * 60 * 1000 // 10 minutes, other members' profiles keep changing meanwhile
+
+/**
+ * relative weight of each signal when scoring. they sum to 1 so confidence is 0..1
+ */
+const weights = {
+  ip: 0.3,
+  userAgent: 0.15,
+  hours: 0.15,
+  topics: 0.1,
+  style: 0.3,
+}
+
+/**
+ * words whose frequency is a weak but topic independent authorship marker
+ */
+const functionWords = [ 'the', 'a', 'an', 'and', 'but', 'of', 'to', 'in', 'i', 'it', 'is', 'that', 'so', 'just' ]
+
+/**
+ * writing style feature names, see styleFeatures
+ */
+const styleNames = [ 'wordLength', 'sentenceLength', 'punctuation', 'uppercase', 'digits', 'functionWords' ]
+
+/**
+ * Returns an empty fingerprint for tracker
+ */
+function emptyFingerprint (tracker, handle) {
+  return {
+    tracker,
+    handle,
+    firstSeen: null,
+    lastSeen: null,
+    ipPrefixes: {},
+    userAgents: {},
+    hours: _.fill(Array(24), 0),
+    topics: {},
+    style: { samples: 0, sums: _.zipObject(styleNames, _.fill(Array(styleNames.length), 0)) },
+  }
+}
+
+/**
+ * Returns the network prefix of an ip address: IPv4 /24 (a.b.c.0/24) or IPv6 /48, or undefined
+ */
+function ipPrefix (ip) {
+  ip = (ip || '').trim().toLowerCase().replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '')
+  let octets = ip.split('.')
+  if (octets.length === 4) {
+    return `${octets.slice(0, 3).join('.')}.0/24`
+  }
+  if (!ip.includes(':')) {
+    return undefined
+  }
+  // expand :: so we can take the first three groups
+  let [ head, tail ] = ip.split('::')
+  let groups = head ? head.split(':') : []
+  if (!_.isUndefined(tail)) {
+    let rest = tail ? tail.split(':') : []
+    groups = groups.concat(_.fill(Array(Math.max(8 - groups.length - rest.length, 0)), '0'), rest)
+  }
+  return `${groups.slice(0, 3).map(group => parseInt(group, 16).toString(16)).join(':')}::/48`
+}
+
+/**
+ * Returns writing style features of text as numbers that don't depend much on its length:
+ *   wordLength: mean letters per word
+ *   sentenceLength: mean words per sentence
+ *   punctuation: punctuation characters per character
+ *   uppercase: uppercase letters per letter
+ *   digits: digits per character
+ *   functionWords: function words per word
+ */
+function styleFeatures (text) {
+  text = text || ''
+  let words = text.toLowerCase().match(/[a-z0-9']+/g) || []
+  let sentences = text.split(/[.!?]+/).filter(sentence => sentence.trim())
+  let letters = text.match(/[a-z]/gi) || []
+  let chars = Math.max(text.replace(/\s/g, '').length, 1)
+  return {
+    wordLength: words.length ? _.sumBy(words, 'length') / words.length : 0,
+    sentenceLength: words.length / Math.max(sentences.length, 1),
+    punctuation: (text.match(/[^\w\s]/g) || []).length / chars,
+    uppercase: letters.length ? (text.match(/[A-Z]/g) || []).length / letters.length : 0,
+    digits: (text.match(/\d/g) || []).length / chars,
+    functionWords: words.length ? words.filter(word => functionWords.includes(word)).length / words.length : 0,
+  }
+}
+
+/**
+ * Add request signals to a fingerprint (mutates and returns it)
+ * signals: { ip, userAgent, at: Date }
+ */
+function addRequestSignals (fingerprint, signals) {
+  let at = signals.at || new Date()
+  let prefix = ipPrefix(signals.ip)
+  if (prefix) {
+    fingerprint.ipPrefixes[prefix] = (fingerprint.ipPrefixes[prefix] || 0) + 1
+  }
+  if (signals.userAgent) {
+    let userAgent = signals.userAgent.slice(0, 256)
+    fingerprint.userAgents[userAgent] = (fingerprint.userAgents[userAgent] || 0) + 1
+  }
+  fingerprint.hours[at.getUTCHours()]++
+  fingerprint.firstSeen = fingerprint.firstSeen || at.toISOString()
+  fingerprint.lastSeen = at.toISOString()
+  return fingerprint
+}
+
+/**
+ * Add authoring signals to a fingerprint (mutates and returns it)
+ * article: { topic: { id }, text }
+ */
+function addArticleSignals (fingerprint, article) {
+  let topicId = _.get(article, 'topic.id')
+  if (topicId) {
+    fingerprint.topics[topicId] = (fingerprint.topics[topicId] || 0) + 1
+  }
+  let features = styleFeatures(article.text)
+  fingerprint.style.samples++
+  styleNames.forEach(name => { fingerprint.style.sums[name] += features[name] })
+  return fingerprint
+}
+
+/**
+ * Merge the fingerprints of one member's trackers into a single profile with the same shape
+ */
+function aggregate (fingerprints, handle) {
+  let addCounts = (objValue, srcValue) => (objValue || 0) + srcValue
+  return fingerprints.reduce((profile, fingerprint) => {
+    _.mergeWith(profile.ipPrefixes, fingerprint.ipPrefixes, addCounts)
+    _.mergeWith(profile.userAgents, fingerprint.userAgents, addCounts)
+    _.mergeWith(profile.topics, fingerprint.topics, addCounts)
+    profile.hours = profile.hours.map((count, hour) => count + (fingerprint.hours[hour] || 0))
+    profile.style.samples += fingerprint.style.samples
+    _.mergeWith(profile.style.sums, fingerprint.style.sums, addCounts)
+    profile.firstSeen = _.min(_.compact([ profile.firstSeen, fingerprint.firstSeen ])) || null
+    profile.lastSeen = _.max(_.compact([ profile.lastSeen, fingerprint.lastSeen ])) || null
+    return profile
+  }, emptyFingerprint(undefined, handle))
+}
+
+/**
+ * Cosine similarity of two count vectors given as arrays or { key: count } objects. 0 if either is empty
+ */
+function cosine (a, b) {
+  let keys = _.union(_.keys(a), _.keys(b))
+  let dot = _.sumBy(keys, key => (a[key] || 0) * (b[key] || 0))
+  let norm = Math.sqrt(_.sumBy(keys, key => (a[key] || 0) * (a[key] || 0))) *
+    Math.sqrt(_.sumBy(keys, key => (b[key] || 0) * (b[key] || 0)))
+  return norm ? dot / norm : 0
+}
+
+/**
+ * Similarity of the mean writing style of two profiles, 0..1. 0 unless both have authored articles
+ */
+function styleSimilarity (a, b) {
+  if (!a.style.samples || !b.style.samples) {
+    return 0
+  }
+  return _.mean(styleNames.map(name => {
+    let x = a.style.sums[name] / a.style.samples
+    let y = b.style.sums[name] / b.style.samples
+    let scale = Math.max(Math.abs(x), Math.abs(y))
+    return scale ? 1 - Math.abs(x - y) / scale : 1
+  }))
+}
+
+/**
+ * Score how likely two profiles are the same person
+ * returns { confidence: 0..1, signals: { ip, userAgent, hours, topics, style } each 0..1 }
+ */
+function score (a, b) {
+  let signals = {
+    ip: cosine(a.ipPrefixes, b.ipPrefixes),
+    userAgent: cosine(a.userAgents, b.userAgents),
+    hours: cosine(a.hours, b.hours),
+    topics: cosine(a.topics, b.topics),
+    style: styleSimilarity(a, b),
+  }
+  let confidence = _.sum(_.map(weights, (weight, name) => weight * signals[name]))
+  return {
+    confidence: _.round(confidence, 3),
+    signals: _.mapValues(signals, value => _.round(value, 3)),
+  }
+}
+
+/**
+ * Rank candidate profiles against profile, best first
+ * options: { threshold: 0.7, limit: 5 }
+ * returns [ { handle, confidence, signals } ] for candidates scoring at least threshold
+ */
+function rankCandidates (profile, candidates, options) {
+  options = _.defaults({}, options, { threshold: 0.7, limit: 5 })
+  return _.chain(candidates)
+    .filter(candidate => candidate.handle !== profile.handle)
+    .map(candidate => _.extend({ handle: candidate.handle }, score(profile, candidate)))
+    .filter(result => result.confidence >= options.threshold)
+    .orderBy([ 'confidence' ], [ 'desc' ])
+    .take(options.limit)
+    .value()
+}
+
+const cache = {
+  loaded: null, // Promise resolved once fingerprints were read from storage
+  fingerprints: new Map(), // tracker => fingerprint
+  trackers: new Map(), // handle => Set of the trackers of its fingerprints
+  profiles: new Map(), // handle => aggregate of its fingerprints
+  suspects: new Map(), // handle => { at, suspects } see findSuspects
+}
+
+/**
+ * Helper to cache a recorded fingerprint, dropping what was cached for its old and new handles
+ */
+function cacheFingerprint (fingerprint) {
+  let previous = cache.fingerprints.get(fingerprint.tracker)
+  let handles = _.uniq(_.compact([ _.get(previous, 'handle'), fingerprint.handle ]))
+  if (previous && cache.trackers.has(previous.handle)) {
+    cache.trackers.get(previous.handle).delete(fingerprint.tracker)
+  }
+  if (!cache.trackers.has(fingerprint.handle)) {
+    cache.trackers.set(fingerprint.handle, new Set())
+  }
+  cache.trackers.get(fingerprint.handle).add(fingerprint.tracker)
+  cache.fingerprints.set(fingerprint.tracker, fingerprint)
+  handles.forEach(handle => {
+    cache.profiles.delete(handle)
+    cache.suspects.delete(handle)
+  })
+}
+
+/**
+ * Helper resolves once the fingerprints were read from storage into the cache
+ */
+function loadFingerprints () {
+  cache.loaded = cache.loaded || store.find('fingerprints')
+    .then(fingerprints => fingerprints
+      .filter(fingerprint => !cache.fingerprints.has(fingerprint.tracker)) // recorded while loading is newer
+      .forEach(cacheFingerprint))
+    .catch(err => {
+      cache.loaded = null // try again next time
+      throw err
+    })
+  return cache.loaded
+}
+
+/**
+ * Helper returns the cached aggregate of the fingerprints recorded for handle
+ */
+function cachedProfile (handle) {
+  if (!cache.profiles.has(handle)) {
+    let fingerprints = Array.from(cache.trackers.get(handle) || [], tracker => cache.fingerprints.get(tracker))
+    cache.profiles.set(handle, aggregate(fingerprints, handle))
+  }
+  return cache.profiles.get(handle)
+}
+
+// links between members make them known rather than suspects, see findSuspects
+pubsub.subscribe('memberLinked', event => _.get(event, 'handles', []).forEach(handle => cache.suspects.delete(handle)))
+
+/**
+ * Helper to read-modify-write the fingerprint of tracker
+ */
+function updateFingerprint (tracker, handle, update) {
+  return store.get('fingerprints', tracker)
+    .then(fingerprint => {
+      fingerprint = update(fingerprint || emptyFingerprint(tracker, handle))
+      fingerprint.handle = handle
+      return store.put('fingerprints', tracker, fingerprint)
+    })
+    .then(fingerprint => {
+      cacheFingerprint(_.cloneDeep(fingerprint))
+      return fingerprint
+    })
+}
+
+/**
+ * Middleware to record request signals for req.session.sub, at most once per interval per tracker.
+ * Assumes routeAssociateAndRefresh has attached req.session and req.member.
+ * options:
+ *   interval: 10 * 60 * 1000, // 10 minutes
+ *   maxSize: 10000, // trackers remembered at most, the oldest are forgotten first
+ */
+function routeRecordSignals (options) {
+  options = _.defaults({}, options, { maxSize: 10000 })
+  const recorded = new Map() // tracker => time last recorded, oldest first
+  return function doRouteRecordSignals (req, res, next) {
+    let tracker = req.session.sub
+    let now = Date.now()
+    if (!tracker || !req.member || recorded.get(tracker) > now - options.interval) {
+      return next()
+    }
+    recorded.delete(tracker) // set again to keep the Map oldest first
+    recorded.set(tracker, now)
+    // trackers recorded more than interval ago would be recorded again anyway
+    for (let [ oldest, at ] of recorded) {
+      if (at > now - options.interval && recorded.size <= options.maxSize) {
+        break
+      }
+      recorded.delete(oldest)
+    }
+    updateFingerprint(tracker, req.member.handle, fingerprint => addRequestSignals(fingerprint, {
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      at: new Date(now),
+    }))
+      .catch(err => logger.id(req).error('record signals failed %s', err.message)) // never fail the request
+    next()
+  }
+}
+
+/**
+ * Record the topic and writing style of an article authored from tracker
+ */
+function recordArticle (tracker, article) {
+  return updateFingerprint(tracker, article.author.handle, fingerprint => addArticleSignals(fingerprint, article))
+    .catch(err => logger.error('record article failed %s', err.message))
+}
+
+/**
+ * Resolves to the aggregated fingerprint of all the member's trackers, see aggregate
+ */
+function getProfile (member) {
+  return Promise.all(member.trackers.map(tracker => store.get('fingerprints', tracker)))
+    .then(fingerprints => aggregate(_.compact(fingerprints), member.handle))
+}
+
+/**
+ * Resolves to the members suspected to be the same person as member, see rankCandidates.
+ * Members already explicitly linked (claims, successors, etc.) are not suspects.
+ * The suspects are cached per member, see SUSPECTS_MAX_AGE
+ */
+function findSuspects (member, options) {
+  let cached = cache.suspects.get(member.handle)
+  if (!options && cached && cached.at > Date.now() - SUSPECTS_MAX_AGE) {
+    return Promise.resolve(cached.suspects)
+  }
+  return loadFingerprints()
+    .then(() => {
+      let fingerprints = _.compact(member.trackers.map(tracker => cache.fingerprints.get(tracker)))
+      let known = _.map(member.links, 'handle')
+      let suspects = []
+      if (fingerprints.length) {
+        let candidates = Array.from(cache.trackers.keys())
+          .filter(handle => handle !== member.handle && !known.includes(handle))
+          .map(cachedProfile)
+        suspects = rankCandidates(aggregate(fingerprints, member.handle), candidates, options)
+      }
+      if (!options) {
+        cache.suspects.set(member.handle, { at: Date.now(), suspects })
+      }
+      return suspects
+    })
+}
+
+exports.weights = weights
+exports.emptyFingerprint = emptyFingerprint
+exports.ipPrefix = ipPrefix
+exports.styleFeatures = styleFeatures
+exports.addRequestSignals = addRequestSignals
+exports.addArticleSignals = addArticleSignals
+exports.aggregate = aggregate
+exports.score = score
+exports.rankCandidates = rankCandidates
+exports.routeRecordSignals = routeRecordSignals
+exports.recordArticle = recordArticle
+exports.getProfile = getProfile
+exports.findSuspects = findSuspects
@@ -0,0 +1,138 @@
+/**
+ * Log transports - where formatted log lines go, see logs.js
+ *
+ * Selected by environment variables:
+ *   LOG_TRANSPORT: 'stdout' (default), 'file' rotating log files, or 'memory' an in-memory ring buffer (for tests)
+ *   LOG_FILE: log file for 'file' (default server/data/logs/server.log), rotated to server.log.1, server.log.2, etc.
+ *   LOG_FILE_MAX_SIZE: bytes before the 'file' log rotates (default 10MB)
+ *   LOG_FILE_MAX_FILES: rotated files kept by 'file' (default 5)
+ *   LOG_BUFFER_SIZE: entries kept by 'memory' (default 1000)
+ *
+ * Every transport implements write(line, entry) where line is the formatted text or JSON line (without a newline)
+ * and entry is the structured log entry { timestamp, level, topic, trustLevel, reqId, sessionId, message, args }.
+ */
+'use strict'
+
+const _ = require('lodash')
+const fs = require('fs')
+const path = require('path')
+
+/**
+ * Write each line to stdout
+ */
+class StdoutTransport {
+  write (line) {
+    process.stdout.write(line + '\n')
+  }
+}
+
+/**
+ * Append each line to a file, rotating it when it grows past maxSize
+ */
+class FileTransport {
+  /**
+   * options: { path, maxSize: 10 * 1024 * 1024, maxFiles: 5 }
+   */
+  constructor (options) {
+    this.path = options.path
+    this.maxSize = options.maxSize || 10 * 1024 * 1024
+    this.maxFiles = options.maxFiles || 5
+    fs.mkdirSync(path.dirname(this.path), { recursive: true })
+    this.open()
+  }
+
+  open () {
+    this.size = fs.existsSync(this.path) ? fs.statSync(this.path).size : 0
+    // open synchronously so a rotate renames the file this stream writes to, not whatever is at path later
+    this.stream = fs.createWriteStream(null, { fd: fs.openSync(this.path, 'a') })
+  }
+
+  /**
+   * Shift server.log to server.log.1, server.log.1 to server.log.2, etc. the rename over server.log.<maxFiles> drops
+   * the oldest
+   * note: the old stream keeps flushing into the renamed file
+   */
+  rotate () {
+    this.stream.end()
+    for (let n = this.maxFiles - 1; n >= 0; n--) {
+      let from = n ? `${this.path}.${n}` : this.path
+      if (fs.existsSync(from)) {
+        fs.renameSync(from, `${this.path}.${n + 1}`)
+      }
+    }
+    this.open()
+  }
+
+  write (line) {
+    let bytes = Buffer.byteLength(line) + 1
+    if (this.size && this.size + bytes > this.maxSize) {
+      this.rotate()
+    }
+    this.size += bytes
+    this.stream.write(line + '\n')
+  }
+}
+
+/**
+ * Keep the most recent entries in memory, e.g. so tests can assert what was logged
+ */
+class RingBufferTransport {
+  /**
+   * options: { size: 1000 }
+   */
+  constructor (options) {
+    this.size = _.get(options, 'size') || 1000
+    this.entries = []
+  }
+
+  write (line, entry) {
+    this.entries.push(entry)
+    if (this.entries.length > this.size) {
+      this.entries.shift()
+    }
+  }
+
+  clear () {
+    this.entries = []
+  }
+}
+
+const transports = {
+  stdout: StdoutTransport,
+  file: FileTransport,
+  memory: RingBufferTransport,
+}
+
+/**
+ * Create a transport
+ * options:
+ *   type: 'stdout', 'file' or 'memory'
+ *   path, maxSize, maxFiles: for 'file'
+ *   size: for 'memory'
+ */
+function createTransport (options) {
+  const Transport = transports[options.type]
+  if (!Transport) {
+    throw new Error(`unknown LOG_TRANSPORT ${options.type}`)
+  }
+  return new Transport(options)
+}
+
+/**
+ * Create the transport selected by environment variables
+ */
+function createTransportFromEnv (env) {
+  return createTransport({
+    type: (env.LOG_TRANSPORT || 'stdout').trim().toLowerCase(),
+    path: env.LOG_FILE || path.resolve(__dirname, 'data/logs/server.log'),
+    maxSize: parseInt(env.LOG_FILE_MAX_SIZE) || undefined,
+    maxFiles: parseInt(env.LOG_FILE_MAX_FILES) || undefined,
+    size: parseInt(env.LOG_BUFFER_SIZE) || undefined,
+  })
+}
+
+exports.StdoutTransport = StdoutTransport
+exports.FileTransport = FileTransport
+exports.RingBufferTransport = RingBufferTransport
+exports.createTransport = createTransport
+exports.createTransportFromEnv = createTransportFromEnv
@@ -6,11 +6,21 @@
  * - trustLevel: untrusted/non-authenticated (U), trusted/authenticated (T), or authenticating (A)
  * - topic: server component name generating the message
  * - level: always/fatal/error/warn/info/debug/trace
+ *
+ * LOG_LEVEL is the default level optionally followed by per-topic levels, e.g. 'info,session=trace,member=debug'
+ * Levels and a trace of one sessionId or reqId can be changed at runtime, see setLevels and setTrace
+ *
+ * LOG_FORMAT selects how each message is written:
+ * - 'text' (default): LEVEL [topic] [trustLevel reqId sessionId] message
+ * - 'json': one JSON object per line { timestamp, level, topic, trustLevel, reqId, sessionId, message, args }
+ * LOG_TRANSPORT selects where lines are written, see log-transports.js
  */
 'use strict'
 
 const _ = require('lodash')
+const util = require('util')
 const morgan = require('morgan')
+const { createTransportFromEnv } = require('./log-transports')
 
 /**
  * Represents the allowed logging severity levels.
@@ -30,11 +40,39 @@ const levelMap = {
 }
 
 /**
- * messages with levels greater than levelFilter are elided
+ * messages with levels greater than the level of their topic are elided
+ * { level: default level, topics: { topic: level } }
  */
-let levelFilter = parseLevel(process.env.LOG_LEVEL ||
+let levelFilter = parseLevels(process.env.LOG_LEVEL ||
   (((process.env.NODE_ENV || '').trim() === 'test') ? 'none' : 'info'))
 
+/**
+ * messages for this sessionId or reqId are logged up to level whatever their topic, see setTrace
+ * { sessionId, reqId, level } or null
+ */
+let traceFilter = null
+
+/**
+ * 'text' or 'json'
+ */
+const logFormat = (process.env.LOG_FORMAT || 'text').trim().toLowerCase()
+
+/**
+ * where formatted lines are written, see setTransport
+ */
+let transport = createTransportFromEnv(process.env)
+
+/**
+ * Replace the log transport, e.g. with a RingBufferTransport in tests. Returns the previous transport
+ * transport: { write(line, entry) } see log-transports.js
+ */
+function setTransport (newTransport) {
+  let previous = transport
+  transport = newTransport
+  return previous
+}
+exports.setTransport = setTransport
+
 /**
  * Helper to convert a log level to an integer if it isn't already
  */
@@ -43,6 +81,92 @@ function parseLevel (level) {
   return (level === 'none') ? 0 : (levelMap[level] || parseInt(level))
 }
 
+/**
+ * Helper to parse a level spec like 'info,session=trace,member=debug'
+ * throws on an unknown level
+ */
+function parseLevels (spec) {
+  return _.reduce(_.compact(spec.split(',').map(_.trim)), (total, item) => {
+    let [ topic, level ] = item.includes('=') ? item.split('=') : [ '', item ]
+    let value = parseLevel(level)
+    if (_.isNaN(value)) {
+      throw new Error(`unknown log level ${level.trim()}`)
+    }
+    if (topic.trim()) {
+      total.topics[topic.trim()] = value
+    } else {
+      total.level = value
+    }
+    return total
+  }, { level: levelMap.info, topics: {} })
+}
+
+/**
+ * Helper to convert a level integer back to its name when it has one
+ */
+function levelName (value) {
+  return value ? _.findKey(levelMap, level => level === value) || value : 'none'
+}
+
+/**
+ * Returns the current levels as { level: 'info', topics: { session: 'trace' }, trace: { sessionId, reqId, level } }
+ */
+function getLevels () {
+  return {
+    level: levelName(levelFilter.level),
+    topics: _.mapValues(levelFilter.topics, levelName),
+    trace: traceFilter && _.extend({}, traceFilter, { level: levelName(traceFilter.level) }),
+  }
+}
+exports.getLevels = getLevels
+
+/**
+ * Replace the levels at runtime with a spec like LOG_LEVEL, e.g. 'info,session=trace'
+ * throws on an unknown level
+ */
+function setLevels (spec) {
+  levelFilter = parseLevels(spec)
+  log('logs', '', 'always', 'levels set to %s', spec)
+  return getLevels()
+}
+exports.setLevels = setLevels
+
+/**
+ * Log every message for one session or request, whatever its topic level. Pass null to stop tracing
+ * filter: { sessionId, reqId, level: 'trace' }
+ * throws on an unknown level
+ */
+function setTrace (filter) {
+  if (filter && (filter.sessionId || filter.reqId)) {
+    let level = parseLevel(filter.level || 'trace')
+    if (_.isNaN(level)) {
+      throw new Error(`unknown log level ${filter.level}`)
+    }
+    traceFilter = _.extend(_.pick(filter, [ 'sessionId', 'reqId' ]), { level })
+  } else {
+    traceFilter = null
+  }
+  let levels = getLevels()
+  log('logs', '', 'always', 'trace set to %j', levels.trace)
+  return levels
+}
+exports.setTrace = setTrace
+
+/**
+ * Helper returning the highest level logged for the topic and logId 'T RRRRR SSSSS'
+ */
+function topicLevel (component, logId) {
+  let value = _.has(levelFilter.topics, component) ? levelFilter.topics[component] : levelFilter.level
+  if (traceFilter && logId) {
+    let [ , reqId, sessionId ] = logId.split(' ')
+    if ((traceFilter.sessionId && traceFilter.sessionId === sessionId) ||
+      (traceFilter.reqId && traceFilter.reqId === reqId)) {
+      value = Math.max(value, traceFilter.level)
+    }
+  }
+  return value
+}
+
 /**
  * generate a short but statistically probably unique ID string. See http://stackoverflow.com/a/8084248
  */
@@ -80,14 +204,22 @@ function identifyRequest (options) {
 exports.identifyRequest = identifyRequest
 
 /**
- * customized version of express morgan logger
+ * customized version of express morgan logger, written through log() so it uses the same format and transport
  */
 function connectLogger () {
-  morgan.token('logid', req => req.logId)
-  return morgan('ALWAYS [express] [:logid] :method :url :status :res[content-length] - :response-time ms', {
+  return morgan((tokens, req, res) => {
+    log('express', req, 'always', '%s %s %s %s - %s ms',
+      tokens.method(req, res),
+      tokens.url(req, res),
+      tokens.status(req, res),
+      tokens.res(req, res, 'content-length') || '-',
+      tokens['response-time'](req, res))
+    return null // tells morgan we wrote it ourselves
+  }, {
     skip (req) {
-      // don't bother logging Untrusted requests unless LOG_LEVEL is trace. never log when it is none
-      return (levelFilter <= levelMap.debug && (req.logId || '').split(' ')[0] === 'U') || !levelFilter
+      // don't bother logging Untrusted requests unless the express level is trace. never log when it is none
+      let value = topicLevel('express', req.logId)
+      return (value <= levelMap.debug && (req.logId || '').split(' ')[0] === 'U') || !value
     }
   })
 }
@@ -102,17 +234,49 @@ function log (component, logId, level, format, ...args) {
   component = component || ''
   level = level || 'info'
 
-  // TODO: add additional filtering here on component
-  if (parseLevel(level) > levelFilter) {
+  logId = _.get(logId, 'logId') || _.isString(logId) && logId || ''
+  if (parseLevel(level) > topicLevel(component, logId)) {
     return
   }
 
-  logId = _.get(logId, 'logId') || _.isString(logId) && logId || ''
-  format = '%s [%s] [%s] ' + (format || '')
-  console.log(format, level.toUpperCase(), component, logId, ...args)
+  let entry = createEntry(component, logId, level, format, args)
+  let line = logFormat === 'json'
+    ? jsonLine(entry)
+    : util.format('%s [%s] [%s] ' + (format || ''), level.toUpperCase(), component, logId, ...args)
+  transport.write(line, entry)
 }
 exports.log = log
 
+/**
+ * Helper to build the structured log entry
+ */
+function createEntry (component, logId, level, format, args) {
+  let [ trustLevel, reqId, sessionId ] = logId.split(' ')
+  return {
+    timestamp: (new Date()).toISOString(),
+    level,
+    topic: component,
+    trustLevel: trustLevel || null,
+    reqId: reqId || null,
+    sessionId: sessionId && sessionId !== '-' ? sessionId : null,
+    message: util.format(format || '', ...args),
+    args,
+  }
+}
+
+/**
+ * Helper to serialize an entry as one line of JSON. Errors keep their message and stack, and if the args can't be
+ * serialized (e.g. circular) they are left out since the message already has them
+ */
+function jsonLine (entry) {
+  let replacer = (key, value) => value instanceof Error ? _.pick(value, [ 'name', 'message', 'status', 'stack' ]) : value
+  try {
+    return JSON.stringify(entry, replacer)
+  } catch (err) {
+    return JSON.stringify(_.omit(entry, 'args'))
+  }
+}
+
 /**
  * Returns a logger for the topic
  * Example:
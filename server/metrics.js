@@ -0,0 +1,226 @@
+/**
+ * Operational metrics in the Prometheus text exposition format
+ * See https://prometheus.io/docs/instrumenting/exposition_formats/
+ *
+ * Modules declare their metrics once when loaded, then update them:
+ *   const newTrackers = require('./metrics').counter('trackers_total', 'Trackers seen by refresh', [ 'kind' ])
+ *   newTrackers.inc({ kind: 'new' })
+ *
+ * Metrics live in this process only and reset on restart. Serve them with metricsHandler on an internal port.
+ */
+'use strict'
+
+const _ = require('lodash')
+
+/**
+ * request latency buckets in seconds
+ */
+const DEFAULT_BUCKETS = [ 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10 ]
+
+/**
+ * Helper to escape a label value, see the exposition format
+ */
+function escapeLabel (value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')
+}
+
+/**
+ * Helper to format labels as {name="value",...} or '' when there are none
+ */
+function formatLabels (labels) {
+  let pairs = _.map(labels, (value, name) => `${name}="${escapeLabel(value)}"`)
+  return pairs.length ? `{${pairs.join(',')}}` : ''
+}
+
+/**
+ * Base of each metric type, holding one series per distinct combination of label values
+ */
+class Metric {
+  constructor (type, name, help, labelNames) {
+    this.type = type
+    this.name = name
+    this.help = help
+    this.labelNames = labelNames || []
+    this.series = new Map() // formatted labels => { labels, ...values }
+  }
+
+  /**
+   * Returns the series for labels, creating it with create() if needed. Unknown labels are ignored and missing
+   * ones are empty, so every series of a metric has the same label names
+   */
+  getSeries (labels, create) {
+    labels = _.zipObject(this.labelNames, this.labelNames.map(name => _.get(labels, name, '')))
+    let key = formatLabels(labels)
+    if (!this.series.has(key)) {
+      this.series.set(key, _.extend({ labels }, create()))
+    }
+    return this.series.get(key)
+  }
+
+  reset () {
+    this.series.clear()
+  }
+
+  format () {
+    return [ `# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}` ]
+  }
+}
+
+/**
+ * A count that only goes up
+ */
+class Counter extends Metric {
+  constructor (name, help, labelNames) {
+    super('counter', name, help, labelNames)
+  }
+
+  inc (labels, value) {
+    this.getSeries(labels, () => ({ value: 0 })).value += _.isUndefined(value) ? 1 : value
+  }
+
+  /**
+   * Returns the count for labels, mostly for tests
+   */
+  get (labels) {
+    return this.getSeries(labels, () => ({ value: 0 })).value
+  }
+
+  format () {
+    let lines = super.format()
+    this.series.forEach((series, key) => lines.push(`${this.name}${key} ${series.value}`))
+    return lines
+  }
+}
+
+/**
+ * Counts observations into cumulative buckets, with their sum and count
+ */
+class Histogram extends Metric {
+  constructor (name, help, labelNames, buckets) {
+    super('histogram', name, help, labelNames)
+    this.buckets = buckets || DEFAULT_BUCKETS
+  }
+
+  observe (labels, value) {
+    let series = this.getSeries(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }))
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index]++
+      }
+    })
+    series.sum += value
+    series.count++
+  }
+
+  format () {
+    let lines = super.format()
+    this.series.forEach(series => {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels(_.extend({}, series.labels, { le: bound }))} ${series.counts[index]}`)
+      })
+      lines.push(`${this.name}_bucket${formatLabels(_.extend({}, series.labels, { le: '+Inf' }))} ${series.count}`)
+      lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.sum}`)
+      lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`)
+    })
+    return lines
+  }
+}
+
+/**
+ * every metric by name
+ */
+const registry = new Map()
+
+/**
+ * Helper to get a registered metric or register a new one
+ */
+function register (Type, name, ...args) {
+  if (!registry.has(name)) {
+    registry.set(name, new Type(name, ...args))
+  }
+  let metric = registry.get(name)
+  if (!(metric instanceof Type)) {
+    throw new Error(`metric ${name} is already registered as a ${metric.type}`)
+  }
+  return metric
+}
+
+/**
+ * Returns the counter named name, registering it the first time
+ */
+function counter (name, help, labelNames) {
+  return register(Counter, name, help, labelNames)
+}
+exports.counter = counter
+
+/**
+ * Returns the histogram named name, registering it the first time
+ * buckets: upper bounds in ascending order, default DEFAULT_BUCKETS
+ */
+function histogram (name, help, labelNames, buckets) {
+  return register(Histogram, name, help, labelNames, buckets)
+}
+exports.histogram = histogram
+
+/**
+ * Returns every metric in the Prometheus text format
+ */
+function format () {
+  let lines = []
+  registry.forEach(metric => lines.push(...metric.format()))
+  return lines.join('\n') + '\n'
+}
+exports.format = format
+
+/**
+ * Clear every series, e.g. between tests
+ */
+function reset () {
+  registry.forEach(metric => metric.reset())
+}
+exports.reset = reset
+
+const httpRequests = counter('http_requests_total', 'HTTP requests by route and status', [ 'method', 'route', 'status' ])
+const httpDuration = histogram('http_request_duration_seconds', 'HTTP request latency by route and status',
+  [ 'method', 'route', 'status' ])
+
+/**
+ * Middleware recording the count and latency of each request once its response is sent.
+ * Requests are labelled by the route pattern that handled them, e.g. /api/articles/:id, rather than the URL so the
+ * number of series stays small. Requests no route matched (static files, GraphQL, 404s from middleware) are labelled
+ * with their mount path or 'unmatched'
+ */
+function routeMetrics () {
+  return function recordMetricsHandler (req, res, next) {
+    let start = process.hrtime()
+    let route = null
+    // express sets req.route when a route matches. note its full path then, since req.baseUrl loses the router's
+    // mount path when an error leaves the router for the app's error handlers
+    Object.defineProperty(req, 'route', {
+      configurable: true,
+      enumerable: true,
+      get () { return route },
+      set (value) {
+        route = value
+        req.routeLabel = (req.baseUrl || '') + value.path
+      },
+    })
+    res.on('finish', () => {
+      let [ seconds, nanoseconds ] = process.hrtime(start)
+      let labels = { method: req.method, route: req.routeLabel || req.baseUrl || 'unmatched', status: res.statusCode }
+      httpRequests.inc(labels)
+      httpDuration.observe(labels, seconds + nanoseconds / 1e9)
+    })
+    next()
+  }
+}
+exports.routeMetrics = routeMetrics
+
+/**
+ * Route serving the metrics to a Prometheus scraper
+ */
+function metricsHandler (req, res) {
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8')
+  res.send(format())
+}
+exports.metricsHandler = metricsHandler
@@ -1,31 +1,350 @@
 'use strict'
 
 const logger = require('../logs').logger('article')
+const metrics = require('../metrics')
 
+const _ = require('lodash')
+const httpErrors = require('http-errors')
+const uuidV4 = require('uuid/v4')
 const { pubsub } = require('../subscriptions')
+const { store } = require('../storage')
+const { createPostingLimits } = require('../posting')
+const { validationError } = require('../errors')
+const validation = require('../validation')
+const schemas = require('../../shared/schemas')
+const topicRules = require('../../shared/topic-rules')
+const { Member } = require('./member.model')
+const { Topic } = require('./topic.model')
 
-// TODO: replace this memory object with a DB
-let articles = []
+const articleInserts = metrics.counter('article_inserts_total', 'Articles and replies posted by topic', [ 'topic' ])
+
+// storage collection: articles keyed by id, holding Article fields except topic and author are stored as
+// topicId and author: member.handle
+
+const DEFAULT_PAGE_SIZE = 20
+const MAX_PAGE_SIZE = 100
+const DEFAULT_THREAD_DEPTH = 5
+const MAX_THREAD_DEPTH = 20
+
+// rate limits and duplicate detection for insert, see setPostingLimits
+let postingLimits = createPostingLimits()
+
+/**
+ * Helper resolving if text follows the content rules of topic (see shared/topic-rules.js), otherwise rejecting with
+ * a 400 validation error. When topic forbids cross topic references that includes links to articles in other topics
+ */
+function checkTopicRules (topic, text) {
+  let details = topicRules.checkText(topic, text, Topic.find().map(topic => topic.id))
+  let referenced = topic.crossTopicReferences ? [] : topicRules.articleReferences(text)
+  return Promise.all(referenced.map(id => store.get('articles', id)))
+    .then(records => {
+      if (_.some(records, record => record && record.topicId !== topic.id)) {
+        details.push({ field: 'text', message: 'may not link to articles in other topics' })
+      }
+      if (details.length) {
+        throw validationError(details)
+      }
+    })
+}
+
+/**
+ * Helper returning the topic with id. When it was removed from the configuration its articles get a locked stand-in
+ * so they can still be read, hidden and deleted, see also edit
+ */
+function getTopic (id) {
+  return Topic.getById(id) || _.extend(new Topic({ id, title: id }), { locked: true })
+}
+
+/**
+ * Helper resolving if author is old enough to post in topic, otherwise rejecting with 403. Moderators always are
+ */
+function checkAccountAge (topic, author) {
+  let hours = topic.posting.minAccountAgeHours
+  if (!hours || author.isModerator()) {
+    return Promise.resolve()
+  }
+  return author.getFirstSeen()
+    .then(firstSeen => {
+      if (!firstSeen || Date.parse(firstSeen) > Date.now() - hours * 60 * 60 * 1000) {
+        throw httpErrors(403, `members must be at least ${hours} hours old to post in this topic`, { code: 'account_too_new' })
+      }
+    })
+}
+
+/**
+ * Helper to make an opaque URL safe paging cursor from the last article on a page
+ * note: Buffer base64 decoding also accepts the URL safe alphabet
+ */
+function encodeCursor (record) {
+  return Buffer.from(JSON.stringify([ record.createdAt, record.id ])).toString('base64')
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+/**
+ * Helper to read a paging cursor. returns [ createdAt, id ] or undefined if it is malformed
+ */
+function decodeCursor (cursor) {
+  try {
+    let value = JSON.parse(Buffer.from(cursor, 'base64').toString('utf8'))
+    return _.isArray(value) && value.length === 2 && _.every(value, _.isString) ? value : undefined
+  } catch (err) {
+    return undefined
+  }
+}
+
+/**
+ * Helper to order two article records by createdAt then id
+ */
+function compareRecords (a, b) {
+  return a.createdAt < b.createdAt ? -1 : a.createdAt > b.createdAt ? 1 : a.id < b.id ? -1 : a.id > b.id ? 1 : 0
+}
 
 class Article {
-  constructor (topic, text, author) {
+  constructor (topic, text, author, id) {
+    this.id = id || uuidV4()
     this.topic = topic
     this.text = text
     this.author = author
+    this.parentId = null // the article this replies to
+    this.rootId = null // the first article in the thread, null if this is the first
+    this.createdAt = (new Date()).toISOString()
+    this.editedAt = null
+    this.history = [] // { text, editedAt, editedBy } previous versions, oldest first
+    this.hidden = false // hidden by a moderator
+    this.deleted = false // soft deleted by the author or a moderator
+  }
+
+  /**
+   * True if member may edit or delete this article: the author (any of their trackers) or a moderate scoped session
+   */
+  canChange (member, session) {
+    return !!(_.get(session, 'moderate') || (member && this.author && member.handle === this.author.handle))
+  }
+
+  /**
+   * Replace the text, keeping the previous version in history. The text must follow the topic rules, so articles in
+   * a removed topic can't be edited
+   * editor is the handle of the member making the change
+   */
+  edit (text, editor) {
+    try {
+      text = validation.check({ text: schemas.updateArticle.text }, { text }).text
+    } catch (err) {
+      return Promise.reject(err)
+    }
+    if (!Topic.getById(this.topic.id)) {
+      return Promise.reject(validationError([ { field: 'topicId', message: 'is no longer a topic' } ]))
+    }
+    return checkTopicRules(this.topic, text)
+      .then(() => {
+        this.history.push({ text: this.text, editedAt: this.editedAt || this.createdAt, editedBy: editor })
+        this.text = text
+        this.editedAt = (new Date()).toISOString()
+        logger.debug(`Edit article ${this.id} by member ${editor}`)
+        return this.save()
+      })
   }
 
+  /**
+   * Soft delete. The article is kept (and audited) but no longer listed or viewable
+   */
+  remove (editor) {
+    this.deleted = true
+    this.editedAt = (new Date()).toISOString()
+    logger.debug(`Delete article ${this.id} by member ${editor}`)
+    return this.save()
+      .then(() => {
+        pubsub.publish('articleChanged', this)
+        return this
+      })
+  }
+
+  save () {
+    return store.put('articles', this.id, Article.toRecord(this)).then(() => this)
+  }
+
+  /**
+   * Public JSON shape. The author is reduced to the handle so member trackers never leak, and the topic to what a
+   * listing shows, its rules are at GET /api/topics
+   */
+  toJSON () {
+    return _.extend(_.omit(this, [ 'topic', 'author' ]), {
+      topic: _.pick(this.topic, [ 'id', 'title', 'icon' ]),
+      author: this.author ? { handle: this.author.handle } : null,
+    })
+  }
+
+  /**
+   * Helper to convert a stored record back to an Article, resolving the topic (see getTopic) and author
+   */
+  static fromRecord (record) {
+    return Member.getByHandle(record.author)
+      .then(author => _.extend(new Article(getTopic(record.topicId), record.text, author, record.id),
+        _.pick(record, [ 'parentId', 'rootId', 'createdAt', 'editedAt', 'history', 'hidden', 'deleted' ])))
+  }
+
+  /**
+   * Helper to convert an Article to its stored record
+   */
+  static toRecord (article) {
+    return _.extend(_.omit(article, [ 'topic', 'author' ]), {
+      topicId: article.topic.id,
+      author: article.author.handle,
+    })
+  }
+
+  /**
+   * Replace the posting limits, see posting.js
+   */
+  static setPostingLimits (limits) {
+    postingLimits = limits
+  }
+
+  /**
+   * data: {
+   *   text: String,
+   *   parent: Article, // optional, when replying. must be in the same topic
+   *   ip: String, // optional, the author's req.ip for per network posting limits
+   * }
+   * rejects with 400 when text breaks the topic rules, 403 when the author's account is too new for the topic (see
+   * topic.model.js) and 429 when the author is posting too fast or repeating themselves, see posting.js
+   */
   static insert (topic, data, author) {
-    // TODO: any validations on data, rate limiting, etc.
-    let result = new Article(topic, data.text, author)
-    articles.push(result)
-    logger.debug(`New article by member ${author.handle}`)
-    pubsub.publish('articleAdded', result)
-    return Promise.resolve(result)
+    let text
+    try {
+      text = validation.check({ text: schemas.createArticle.text }, { text: data.text }).text
+    } catch (err) {
+      return Promise.reject(err)
+    }
+    if (topic.locked) {
+      return Promise.reject(httpErrors(403, 'topic is locked'))
+    }
+    if (data.parent && data.parent.topic.id !== topic.id) {
+      return Promise.reject(httpErrors(400, 'replies must be in the same topic'))
+    }
+    let result = new Article(topic, text, author)
+    if (data.parent) {
+      result.parentId = data.parent.id
+      result.rootId = data.parent.rootId || data.parent.id
+    }
+    return checkTopicRules(topic, text)
+      .then(() => checkAccountAge(topic, author))
+      .then(() => postingLimits.checkArticle(author, topic, text, data.ip))
+      .then(() => result.save())
+      .then(() => {
+        logger.debug(`New article by member ${author.handle}`)
+        articleInserts.inc({ topic: topic.id })
+        pubsub.publish('articleAdded', result)
+        return result
+      })
+  }
+
+  /**
+   * Resolves to the article, including hidden and deleted ones, or undefined if it doesn't exist
+   */
+  static getById (id) {
+    return store.get('articles', id)
+      .then(record => record && Article.fromRecord(record))
+  }
+
+  /**
+   * Resolves to the article and its replies as a tree, or undefined if it doesn't exist.
+   * Each node is the article plus replyCount (direct replies) and replies (nodes, oldest first).
+   * replies is omitted below depth. Hidden and deleted articles keep their place in the tree but lose their
+   * content unless includeHidden (moderators).
+   */
+  static getThread (id, depth, includeHidden) {
+    depth = _.isUndefined(depth) ? DEFAULT_THREAD_DEPTH : Math.min(Math.max(parseInt(depth) || 0, 0), MAX_THREAD_DEPTH)
+    return store.get('articles', id)
+      .then(top => {
+        if (!top) {
+          return
+        }
+        let rootId = top.rootId || top.id
+        return store.find('articles', record => record.id === rootId || record.rootId === rootId)
+          .then(records => {
+            let children = _.groupBy(records.sort(compareRecords), 'parentId')
+            let build = (record, level) => {
+              let node = (record.hidden || record.deleted) && !includeHidden
+                ? Promise.resolve(_.extend(_.pick(record, [ 'id', 'parentId', 'rootId', 'createdAt', 'hidden', 'deleted' ]), { text: null, author: null }))
+                : Article.fromRecord(record)
+              let replies = children[record.id] || []
+              return node.then(article => {
+                article.replyCount = replies.length
+                if (level >= depth) {
+                  return article
+                }
+                return Promise.all(replies.map(reply => build(reply, level + 1)))
+                  .then(nodes => _.extend(article, { replies: nodes }))
+              })
+            }
+            return build(top, 0)
+          })
+      })
+  }
+
+  /**
+   * Hide or restore an article. Resolves to the article or undefined if it doesn't exist
+   */
+  static setHidden (id, hidden) {
+    return Article.getById(id)
+      .then(article => article && _.extend(article, { hidden: !!hidden }).save())
+      .then(article => {
+        if (article) {
+          pubsub.publish('articleChanged', article)
+        }
+        return article
+      })
+  }
+
+  /**
+   * Resolves to one page of articles, except those deleted or hidden by moderators, as { articles, next }
+   * where next is the cursor for the following page or null on the last page.
+   * query: {
+   *   author: member,
+   *   topicId: String,
+   *   since: Date, // createdAt on or after
+   *   until: Date, // createdAt before
+   *   sort: 'newest' (default) or 'oldest',
+   *   limit: page size (default 20, at most 100),
+   *   cursor: next from the previous page,
+   * }
+   */
+  static find (query) {
+    query = query || {}
+    let cursor = query.cursor && decodeCursor(query.cursor)
+    if (query.cursor && !cursor) {
+      return Promise.reject(httpErrors(400, 'invalid cursor'))
+    }
+    let since = query.since && query.since.toISOString()
+    let until = query.until && query.until.toISOString()
+    let newest = query.sort !== 'oldest'
+    let limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE)
+    return store.find('articles', article => !article.hidden && !article.deleted &&
+        (!query.author || article.author === query.author.handle) &&
+        (!query.topicId || article.topicId === query.topicId) &&
+        (!since || article.createdAt >= since) &&
+        (!until || article.createdAt < until))
+      .then(records => {
+        records.sort(newest ? (a, b) => compareRecords(b, a) : compareRecords)
+        if (cursor) {
+          let after = { createdAt: cursor[0], id: cursor[1] }
+          records = records.filter(record => newest ? compareRecords(record, after) < 0 : compareRecords(record, after) > 0)
+        }
+        let page = records.slice(0, limit)
+        let next = records.length > limit ? encodeCursor(_.last(page)) : null
+        return Promise.all(page.map(Article.fromRecord))
+          .then(articles => ({ articles, next }))
+      })
   }
 
+  /**
+   * Resolves to the articles matching author and topicId, except those deleted or hidden by moderators
+   */
   static findByAuthor (author, topicId) {
-    let result = articles.filter(article => (!author || article.author === author) && (!topicId || article.topic.id === topicId))
-    return Promise.resolve(result)
+    return store.find('articles', article => !article.hidden && !article.deleted &&
+        (!author || article.author === author.handle) && (!topicId || article.topicId === topicId))
+      .then(records => Promise.all(records.map(Article.fromRecord)))
   }
 }
 
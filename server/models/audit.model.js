@@ -0,0 +1,35 @@
+'use strict'
+
+const logger = require('../logs').logger('audit')
+
+const uuidV4 = require('uuid/v4')
+const { store } = require('../storage')
+
+// storage collection: audit keyed by id. entries are never changed or removed
+
+class Audit {
+  constructor (action, target, moderator, reason) {
+    this.id = uuidV4()
+    this.action = action // e.g. 'article.hide'
+    this.target = target // id of the article, topic or member acted upon
+    this.moderator = moderator // handle of the acting member
+    this.reason = reason
+    this.at = (new Date()).toISOString()
+  }
+
+  static record (action, target, moderator, reason) {
+    let entry = new Audit(action, target, moderator, reason)
+    logger.info('%s %s by %s: %s', action, target, moderator, reason)
+    return store.put('audit', entry.id, entry).then(() => entry)
+  }
+
+  /**
+   * Resolves to entries, newest first, optionally only those for one target
+   */
+  static find (target) {
+    return store.find('audit', entry => !target || entry.target === target)
+      .then(entries => entries.reverse())
+  }
+}
+
+exports.Audit = Audit
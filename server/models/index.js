@@ -1,11 +1,15 @@
 'use strict'
 
 const { Article } = require('./article.model')
+const { Audit } = require('./audit.model')
 const { Member } = require('./member.model')
+const { RefreshFamily } = require('./refresh.model')
 const { Topic } = require('./topic.model')
 
 module.exports = {
   Article,
+  Audit,
   Member,
+  RefreshFamily,
   Topic,
 }
@@ -2,20 +2,260 @@
 
 const logger = require('../logs').logger('member')
 
-// TODO: replace this memory object with a DB
-let trackerToMember = new Map()
+const _ = require('lodash')
+const crypto = require('crypto')
+const uuidV4 = require('uuid/v4')
+const { store } = require('../storage')
+const { pubsub } = require('../subscriptions')
+
+// storage collections: members keyed by handle,
+// trackers keyed by tracker holding { handle, firstSeen, lastSeen, ip, userAgent } (see touchTracker),
+// revocations keyed by tracker holding { tracker, handle, reason, revokedAt, revokedBy }
+// linkCodes keyed by code holding { code, handle, tracker, expiresAt }
+// credentials keyed by handle holding { algorithm, iterations, salt, hash, changedAt }. never part of the member record
+
+const LINK_CODE_MAX_AGE = 10 * 60 * 1000 // 10 minutes
+const MODERATORS = (process.env.MODERATORS || '').split(',').map(handle => handle.trim()).filter(Boolean)
+const PASSWORD_ITERATIONS = 100000
+const PASSWORD_DIGEST = 'sha512'
+
+/**
+ * Helper to salt and slowly hash a password
+ * resolves to the credentials record
+ */
+function hashPassword (password) {
+  let salt = crypto.randomBytes(16).toString('hex')
+  return new Promise((resolve, reject) => {
+    crypto.pbkdf2(password, salt, PASSWORD_ITERATIONS, 64, PASSWORD_DIGEST, (err, hash) => {
+      if (err) {
+        return reject(err)
+      }
+      resolve({
+        algorithm: `pbkdf2-${PASSWORD_DIGEST}`,
+        iterations: PASSWORD_ITERATIONS,
+        salt,
+        hash: hash.toString('hex'),
+        changedAt: (new Date()).toISOString(),
+      })
+    })
+  })
+}
+
+/**
+ * Helper to associate tracker with handle, keeping what we know about the user agent.
+ * Revoked trackers stay revoked, they are never associated again
+ */
+function assignTracker (tracker, handle) {
+  return Promise.all([ store.get('trackers', tracker), store.get('revocations', tracker) ])
+    .then(([ record, revocation ]) => revocation
+      ? logger.info('assignTracker skipped revoked tracker %s for handle %s', tracker, handle)
+      : store.put('trackers', tracker, _.extend({}, record, { handle })))
+}
+
+/**
+ * Helper to check a password against a credentials record
+ * resolves to true if it matches
+ */
+function verifyPassword (password, credentials) {
+  let digest = credentials.algorithm.replace(/^pbkdf2-/, '')
+  let expected = Buffer.from(credentials.hash, 'hex')
+  return new Promise((resolve, reject) => {
+    crypto.pbkdf2(password, credentials.salt, credentials.iterations, expected.length, digest, (err, hash) => {
+      if (err) {
+        return reject(err)
+      }
+      resolve(crypto.timingSafeEqual(hash, expected))
+    })
+  })
+}
 
 class Member {
   constructor (handle, tracker) {
     this.handle = handle // the first tracker (could be trackers[0])
     this.trackers = tracker ? [tracker] : []
+    this.links = [] // { relation: 'predecessor', 'successor', 'claimed' or 'claimedBy', handle, reason, at, hidden }
+    this.claims = [] // { id, tracker, fromHandle, issuedBy, claimedAt, status: 'active' or 'rejected', rejectedAt }
+    this.moderator = false // may be granted the moderate scope, see also env.MODERATORS
+    this.flags = [] // { reason, by, at } raised by moderators, or by 'system' for the server's own suspicions
+    this.retiredAt = null // set when the identity was abandoned, its articles stay attributed to it
+  }
+
+  /**
+   * True if the member may be granted the moderate scope
+   */
+  isModerator () {
+    return this.moderator || MODERATORS.includes(this.handle)
+  }
+
+  /**
+   * Record a flag against this member, by a moderator's handle or 'system'
+   */
+  flag (reason, by) {
+    this.flags.push({ reason, by, at: (new Date()).toISOString() })
+    return this.save()
+  }
+
+  save () {
+    return store.put('members', this.handle, this).then(() => this)
   }
 
   claimTracker (tracker) {
     // TODO: do we need to ensure it's not already claimed or already a member of trackers?
     // note: the old member still has a reference to this tracker, but this tracker references the new member
     this.trackers.push(tracker)
-    trackerToMember.set(tracker, this)
+    return Promise.all([
+      this.save(),
+      assignTracker(tracker, this.handle),
+    ]).then(() => this)
+  }
+
+  /**
+   * Resolves to true if the member has opted in to a password
+   */
+  hasPassword () {
+    return store.get('credentials', this.handle).then(credentials => !!credentials)
+  }
+
+  /**
+   * Add or replace the member password. Only the salted hash is stored.
+   */
+  setPassword (password) {
+    logger.info('setPassword for handle %s', this.handle)
+    return hashPassword(password)
+      .then(credentials => store.put('credentials', this.handle, credentials))
+      .then(() => this)
+  }
+
+  /**
+   * Resolves to true if password matches, false if it doesn't or the member has no password
+   */
+  checkPassword (password) {
+    return store.get('credentials', this.handle)
+      .then(credentials => !!credentials && !!password && verifyPassword(String(password), credentials))
+  }
+
+  /**
+   * Create a one-time code this member can redeem on another user agent to claim that agent's tracker.
+   * tracker is the tracker (user agent) asking for the code
+   * resolves to { code, expiresAt }
+   */
+  createLinkCode (tracker) {
+    let linkCode = {
+      code: crypto.randomBytes(5).toString('hex'),
+      handle: this.handle,
+      tracker,
+      expiresAt: (new Date(Date.now() + LINK_CODE_MAX_AGE)).toISOString(),
+    }
+    logger.debug('createLinkCode for handle %s from tracker %s', this.handle, tracker)
+    return store.put('linkCodes', linkCode.code, linkCode)
+      .then(() => _.pick(linkCode, [ 'code', 'expiresAt' ]))
+  }
+
+  /**
+   * Reject a claim made with one of our link codes. The tracker is handed back to the member it was claimed from,
+   * unless it was revoked meanwhile.
+   * resolves to the rejected claim or undefined if there is no such active claim
+   */
+  rejectClaim (id) {
+    let claim = _.find(this.claims, { id, status: 'active' })
+    if (!claim) {
+      return Promise.resolve()
+    }
+    claim.status = 'rejected'
+    claim.rejectedAt = (new Date()).toISOString()
+    _.pull(this.trackers, claim.tracker)
+    logger.info('rejectClaim %s of tracker %s by handle %s', id, claim.tracker, this.handle)
+    return Promise.all([
+      this.save(),
+      claim.fromHandle
+        ? assignTracker(claim.tracker, claim.fromHandle)
+        : store.remove('trackers', claim.tracker),
+    ]).then(() => {
+      pubsub.publish('memberLinked', { handles: _.compact([ this.handle, claim.fromHandle ]) })
+      return claim
+    })
+  }
+
+  /**
+   * Resolves to the records of the trackers (user agents) still associated with this member, i.e. not revoked or
+   * claimed by another member, as [ { tracker, firstSeen, lastSeen, ip, userAgent } ]
+   */
+  getSessions () {
+    return Promise.all(this.trackers.map(tracker => store.get('trackers', tracker)
+      .then(record => record && record.handle === this.handle && _.extend({ tracker }, _.omit(record, 'handle')))))
+      .then(sessions => _.compact(sessions))
+  }
+
+  /**
+   * Resolves to the ISO date the earliest of getSessions was first seen, or null if none was
+   */
+  getFirstSeen () {
+    return this.getSessions()
+      .then(sessions => _.min(_.compact(_.map(sessions, 'firstSeen'))) || null)
+  }
+
+  /**
+   * Abandon this identity ("start over"). The member is retired and its trackers revoked, and a new member with a new
+   * tracker takes its place. The two stay linked, but the link is hidden, see profiles.js
+   * resolves to { tracker, member } for the new identity
+   */
+  abandon () {
+    let tracker = Member.generateTracker()
+    // only revoke trackers still associated with us, not those claimed away by another member
+    let revokeOwnTracker = prevTracker => store.get('trackers', prevTracker)
+      .then(record => record && record.handle === this.handle && Member.revokeTracker(prevTracker, 'abandoned', this.handle))
+    this.retiredAt = (new Date()).toISOString()
+    logger.info('abandon handle %s for new tracker %s', this.handle, tracker)
+    return Promise.all(this.trackers.map(revokeOwnTracker))
+      .then(() => this.save())
+      .then(() => Member.insert(tracker))
+      .then(successor => Member.linkSuccessor(this.handle, successor, 'abandoned', { hidden: true }))
+      .then(successor => ({ tracker, member: successor }))
+  }
+
+  /**
+   * Redeem a link code so the member who created it claims tracker, the user agent redeeming the code.
+   * The member previously associated with tracker keeps a link to the claiming member.
+   * resolves to { member, claim } or undefined if the code is unknown, expired or our own
+   */
+  static redeemLinkCode (code, tracker) {
+    return store.get('linkCodes', code)
+      .then(linkCode => {
+        if (!linkCode || Date.parse(linkCode.expiresAt) < Date.now()) {
+          return
+        }
+        return Promise.all([
+          Member.getByHandle(linkCode.handle),
+          Member.findByTracker(tracker),
+          store.remove('linkCodes', code), // one-time use
+        ]).then(([ member, previous ]) => {
+          if (!member || _.includes(member.trackers, tracker)) {
+            return
+          }
+          let at = (new Date()).toISOString()
+          let claim = {
+            id: uuidV4(),
+            tracker,
+            fromHandle: previous && previous.handle,
+            issuedBy: linkCode.tracker,
+            claimedAt: at,
+            status: 'active',
+          }
+          member.claims.push(claim)
+          logger.info('redeemLinkCode handle %s claimed tracker %s from handle %s', member.handle, tracker, claim.fromHandle)
+          let claimed = () => {
+            pubsub.publish('memberLinked', { handles: _.compact([ member.handle, claim.fromHandle ]) })
+            return { member, claim }
+          }
+          if (!previous) {
+            return member.claimTracker(tracker).then(claimed)
+          }
+          member.links.push({ relation: 'claimed', handle: previous.handle, reason: 'claim', at })
+          previous.links.push({ relation: 'claimedBy', handle: member.handle, reason: 'claim', at })
+          return Promise.all([ member.claimTracker(tracker), previous.save() ])
+            .then(claimed)
+        })
+      })
   }
 
   /**
@@ -25,30 +265,107 @@ class Member {
     return (Math.random() + 1).toString(36).substr(2, 5)
   }
 
+  /**
+   * Helper to convert a stored record back to a Member
+   */
+  static fromRecord (record) {
+    return record && _.extend(new Member(), record)
+  }
+
   static insert (tracker, handle) {
     // TODO: error if exists: let member = trackerToMember.get(tracker)
     let member = new Member(handle || Member.generateTracker(), tracker)
-    trackerToMember.set(member.handle, member)
-    trackerToMember.set(tracker, member)
     logger.debug(`insert handle ${member.handle} with tracker ${tracker}`)
-    return Promise.resolve(member)
+    let now = (new Date()).toISOString()
+    return Promise.all([
+      member.save(),
+      store.put('trackers', tracker, { handle: member.handle, firstSeen: now, lastSeen: now }),
+    ]).then(() => member)
   }
 
   static getByHandle (handle) {
-    let member = trackerToMember.get(handle)
-    logger.debug('getByHandle %s %s', handle, !!member)
-    return Promise.resolve(member)
+    return store.get('members', handle)
+      .then(record => {
+        logger.debug('getByHandle %s %s', handle, !!record)
+        return Member.fromRecord(record)
+      })
   }
 
   static findByTracker (tracker) {
-    let member = trackerToMember.get(tracker)
-    logger.debug('findByTracker %s is handle %s', tracker, member && member.handle)
-    return Promise.resolve(member)
+    return store.get('trackers', tracker)
+      .then(record => record && Member.getByHandle(record.handle))
+      .then(member => {
+        logger.debug('findByTracker %s is handle %s', tracker, member && member.handle)
+        return member
+      })
+  }
+
+  /**
+   * Save where a tracker was last seen. Revoked trackers are ignored
+   * seen: { at: Date, ip, userAgent }
+   */
+  static touchTracker (tracker, seen) {
+    return store.get('trackers', tracker)
+      .then(record => record && store.put('trackers', tracker, _.extend(record, {
+        firstSeen: record.firstSeen || seen.at.toISOString(), // trackers saved before we kept details
+        lastSeen: seen.at.toISOString(),
+        ip: seen.ip,
+        userAgent: seen.userAgent && seen.userAgent.slice(0, 256),
+      })))
+  }
+
+  /**
+   * Revoke a tracker so it can never be refreshed again. The revocation is kept as an audit record.
+   * revokedBy is the handle of the member or moderator who asked, or 'system'
+   * resolves to the revocation record
+   */
+  static revokeTracker (tracker, reason, revokedBy) {
+    return store.get('trackers', tracker)
+      .then(record => {
+        let revocation = {
+          tracker,
+          handle: record && record.handle,
+          reason,
+          revokedAt: (new Date()).toISOString(),
+          revokedBy,
+        }
+        logger.info('revokeTracker %s of handle %s by %s: %s', tracker, revocation.handle, revokedBy, reason)
+        return Promise.all([
+          store.put('revocations', tracker, revocation),
+          store.remove('trackers', tracker),
+        ]).then(() => revocation)
+      })
   }
 
-  static blackListTracker (tracker) {
-    logger.debug('blackListTracker %s', tracker)
-    trackerToMember.delete(tracker)
+  /**
+   * Resolves to the revocation record for the tracker or undefined if it was never revoked
+   */
+  static getRevocation (tracker) {
+    return store.get('revocations', tracker)
+  }
+
+  /**
+   * Link a replacement identity to the identity it replaces so both remain surfaced as linked.
+   * reason is why the successor was created, e.g. 'revoked'
+   * options: { hidden: false } hidden links are only surfaced to moderators or after a delay, see profiles.js
+   * resolves to the successor
+   */
+  static linkSuccessor (handle, successor, reason, options) {
+    let hidden = !!_.get(options, 'hidden')
+    return Member.getByHandle(handle)
+      .then(predecessor => {
+        if (!predecessor) {
+          return successor
+        }
+        let at = (new Date()).toISOString()
+        predecessor.links.push({ relation: 'successor', handle: successor.handle, reason, at, hidden })
+        successor.links.push({ relation: 'predecessor', handle: predecessor.handle, reason, at, hidden })
+        logger.debug('linkSuccessor %s to %s: %s', predecessor.handle, successor.handle, reason)
+        return Promise.all([ predecessor.save(), successor.save() ]).then(() => {
+          pubsub.publish('memberLinked', { handles: [ predecessor.handle, successor.handle ] })
+          return successor
+        })
+      })
   }
 }
 
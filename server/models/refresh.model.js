@@ -0,0 +1,49 @@
+'use strict'
+
+const logger = require('../logs').logger('refresh')
+
+const { store } = require('../storage')
+
+// storage collection: refreshFamilies keyed by family holding { family, tracker, current, previous, rotatedAt, revokedAt }
+// a family is the chain of refresh tokens descending from one original refresh token, named by the original's jti.
+// only the newest (current) token of a family may be used. older tokens being used again means one was stolen.
+
+const REUSE_GRACE = 30 * 1000 // 30 seconds for parallel requests that all presented the same refresh token
+
+const pending = new Map() // family => promise of the last rotation, so rotations of one family never interleave
+
+class RefreshFamily {
+  /**
+   * Replace the refresh token used (a decoded jwt) with the one whose jti is next.
+   * resolves to the status of used:
+   *   'current': it was the newest token of its family, next is now the current one
+   *   'recent': it was just replaced, probably by a parallel request, so next is not used
+   *   'reused': it was replaced long ago or the family is revoked. the family is now revoked
+   */
+  static rotate (used, next) {
+    let family = used.fam || used.jti // tokens issued before rotation start their own family
+    let result = (pending.get(family) || Promise.resolve())
+      .then(() => store.get('refreshFamilies', family))
+      .then(record => {
+        record = record || { family, tracker: used.sub, current: used.jti }
+        if (!record.revokedAt && record.current === used.jti) {
+          record.previous = record.current
+          record.current = next
+          record.rotatedAt = (new Date()).toISOString()
+          return store.put('refreshFamilies', family, record).then(() => 'current')
+        }
+        if (!record.revokedAt && record.previous === used.jti && Date.parse(record.rotatedAt) > Date.now() - REUSE_GRACE) {
+          return 'recent'
+        }
+        logger.warn('rotate family %s of tracker %s reused jti %s', family, record.tracker, used.jti)
+        record.revokedAt = record.revokedAt || (new Date()).toISOString()
+        return store.put('refreshFamilies', family, record).then(() => 'reused')
+      })
+    let settled = result.catch(() => {})
+    pending.set(family, settled)
+    settled.then(() => pending.get(family) === settled && pending.delete(family))
+    return result
+  }
+}
+
+exports.RefreshFamily = RefreshFamily
@@ -1,19 +1,90 @@
 'use strict'
 
+const logger = require('../logs').logger('topic')
+
+const _ = require('lodash')
+const fs = require('fs')
+const path = require('path')
+const { store } = require('../storage')
+const { markupKinds } = require('../../shared/topic-rules')
+
 /**
  * Articles are siloed into top level topics separated by participant goal.
  * Goals might be, find a partner, learn something new, etc.
  * Goals are sufficiently different that different content expectations and surfacing rules are expected to apply.
- * Cross referencing topics is allowed but discouraged.
+ * Cross referencing topics is allowed but discouraged, and some topics forbid it.
+ *
+ * Topics are data: loaded from TOPICS_FILE (default server/topics.json), then storage collection topics keyed by id
+ * holding the same fields, which replace the file's topic with that id or add a new one. A topic is:
+ *   {
+ *     id, title, description,
+ *     icon: 'learning', // asset name, served as TOPIC_ICON_URL/learning.svg (default /icons/topics, server/public)
+ *     defaultSort: 'newest' or 'oldest', // article listing order when the client doesn't ask for one
+ *     crossTopicReferences: false, // see shared/topic-rules.js
+ *     posting: { minAccountAgeHours, maxLength, markup }, // content rules, see shared/topic-rules.js
+ *     limits: { member, newMember, network }, // posting rate limits replacing the defaults, see posting.js
+ *   }
+ * Everything except limits is public so the client can apply the same rules.
  *
  * no DB needed so no Promise. famous last words...
+ * except moderators can lock a topic, which is persisted in storage collection topicLocks keyed by id
+ */
+
+const TOPICS_FILE = process.env.TOPICS_FILE || path.resolve(__dirname, '../topics.json')
+const TOPIC_ICON_URL = (process.env.TOPIC_ICON_URL || '/icons/topics').replace(/\/+$/, '')
+const SORTS = [ 'newest', 'oldest' ]
+
+/**
+ * Helper returning what is wrong with topic data, or undefined if it is usable
  */
+function checkTopic (data) {
+  if (!_.isPlainObject(data) || !_.isString(data.id) || !/^[a-z][a-z0-9-]*$/.test(data.id)) {
+    return 'id must be lowercase letters, digits and dashes'
+  }
+  if (!_.isString(data.title) || !data.title) {
+    return 'title is required'
+  }
+  if (!_.isUndefined(data.icon) && !/^[a-z0-9-]+$/.test(data.icon)) {
+    return 'icon must be an asset name of lowercase letters, digits and dashes'
+  }
+  if (!_.isUndefined(data.defaultSort) && !_.includes(SORTS, data.defaultSort)) {
+    return `defaultSort must be one of ${SORTS.join(', ')}`
+  }
+  let posting = data.posting || {}
+  let unknown = _.difference(posting.markup, markupKinds)
+  if (unknown.length || (!_.isUndefined(posting.markup) && !_.isArray(posting.markup))) {
+    return `posting.markup must only list ${markupKinds.join(', ')}`
+  }
+  if (_.some([ posting.minAccountAgeHours, posting.maxLength ], value => !_.isUndefined(value) && !(value >= 0))) {
+    return 'posting.minAccountAgeHours and posting.maxLength must be numbers, 0 or more'
+  }
+}
+
 class Topic {
-  constructor (id, title, description, icon) {
-    this.id = id
-    this.title = title
-    this.description = description
-    this.icon = icon // TODO: how to handle icons? relative URL, CDN, app-local ID, ...
+  constructor (data) {
+    this.id = data.id
+    this.title = data.title
+    this.description = data.description || ''
+    this.icon = data.icon || data.id
+    this.defaultSort = data.defaultSort || 'newest'
+    this.crossTopicReferences = data.crossTopicReferences !== false
+    this.posting = _.defaults({}, data.posting, { minAccountAgeHours: 0, maxLength: null, markup: markupKinds })
+    this.limits = data.limits || {}
+    this.locked = false // no new articles while locked
+  }
+
+  /**
+   * URL of the icon asset
+   */
+  get iconUrl () {
+    return `${TOPIC_ICON_URL}/${this.icon}.svg`
+  }
+
+  /**
+   * Public JSON shape, the rules without the posting rate limits
+   */
+  toJSON () {
+    return _.extend(_.omit(this, [ 'limits' ]), { iconUrl: this.iconUrl })
   }
 
   static getById (id) {
@@ -23,14 +94,41 @@ class Topic {
   static find () {
     return topics
   }
+
+  /**
+   * Lock or unlock a topic. Resolves to the topic or undefined if it doesn't exist
+   */
+  static setLocked (id, locked) {
+    let topic = Topic.getById(id)
+    if (!topic) {
+      return Promise.resolve()
+    }
+    topic.locked = !!locked
+    return store.put('topicLocks', id, { locked: topic.locked }).then(() => topic)
+  }
 }
 
-// Implementation only needs a simple hard-coded list
-let topics = [
-  new Topic('learning', 'new renaissance', 'science, philosophy, and life long learning'),
-  new Topic('politics', 'politics', 'discuss policy and public figures'),
-  new Topic('website', 'this website', 'suggestions and improvements and technical support for this website'),
-  new Topic('flame', 'creative criticism', 'constructively call out how other people might improve'),
-]
+// the configured topics. a broken file stops the server rather than silently dropping topics
+let topics = JSON.parse(fs.readFileSync(TOPICS_FILE, 'utf8')).map(data => {
+  let problem = checkTopic(data)
+  if (problem) {
+    throw new Error(`${TOPICS_FILE}: topic ${_.get(data, 'id')} ${problem}`)
+  }
+  return new Topic(data)
+})
+
+// apply topics from storage then restore topic locks
+store.find('topics')
+  .then(records => records.forEach(data => {
+    let problem = checkTopic(data)
+    if (problem) {
+      return logger.error('ignoring stored topic %s: %s', _.get(data, 'id'), problem)
+    }
+    let index = _.findIndex(topics, { id: data.id })
+    topics.splice(index === -1 ? topics.length : index, index === -1 ? 0 : 1, new Topic(data))
+  }))
+  .then(() => Promise.all(topics.map(topic => store.get('topicLocks', topic.id))))
+  .then(locks => locks.forEach((lock, index) => { topics[index].locked = !!(lock && lock.locked) }))
+  .catch(err => logger.error('failed to load topics from storage', err))
 
 exports.Topic = Topic
@@ -0,0 +1,161 @@
+/**
+ * Posting limits and flood control for new articles, checked by Article.insert
+ *
+ * - token buckets: each member and each client network (see linking.ipPrefix) has a bucket per topic holding up to
+ *   burst articles, refilled at perHour. Posting takes one token, an empty bucket means 429 until it refills.
+ *   Network buckets stop a script cycling trackers, which gets a new member (and bucket) each time.
+ * - new members: members first seen less than newMemberAge ago, or flagged by a moderator, get the stricter
+ *   newMember limits. Moderators are never new.
+ * - duplicates: the same text (ignoring case and spacing) from the same member or network within duplicateWindow
+ *   is rejected with 429 until the window passes.
+ * Topics can replace the limits with topic.limits, e.g. { newMember: { burst: 1, perHour: 2 } }, see topic.model.js
+ *
+ * Rejections are 429 errors with a Retry-After header, see errors.js
+ * The store is a throttle store, see throttle.js
+ */
+'use strict'
+
+const logger = require('./logs').logger('posting')
+const metrics = require('./metrics')
+
+const _ = require('lodash')
+const crypto = require('crypto')
+const httpErrors = require('http-errors')
+const { ipPrefix } = require('./linking')
+const { MemoryThrottleStore } = require('./throttle')
+
+const rejections = metrics.counter('article_rejections_total', 'Articles refused by posting limits by reason and topic',
+  [ 'reason', 'topic' ])
+
+/**
+ * Helper returning a 429 error with Retry-After for retryAt
+ */
+function tooManyArticles (retryAt, message, code) {
+  let seconds = Math.max(Math.ceil((retryAt - Date.now()) / 1000), 1)
+  return httpErrors(429, message, { code, headers: { 'Retry-After': String(seconds) } })
+}
+
+/**
+ * Helper returning a short fingerprint of text that ignores case and spacing
+ */
+function textHash (text) {
+  let normalized = String(text).toLowerCase().replace(/\s+/g, ' ').trim()
+  return crypto.createHash('sha256').update(normalized).digest('hex').slice(0, 32)
+}
+
+/**
+ * Helper to refill a token bucket record { tokens, updatedAt } to now
+ * limit: { burst, perHour }
+ */
+function refill (bucket, limit, now) {
+  let rate = limit.perHour / (60 * 60 * 1000) // tokens per millisecond
+  if (!bucket) {
+    return { tokens: limit.burst, updatedAt: now }
+  }
+  return { tokens: Math.min(limit.burst, bucket.tokens + (now - bucket.updatedAt) * rate), updatedAt: now }
+}
+
+/**
+ * Create posting limits
+ * options:
+ *   store: new MemoryThrottleStore(),
+ *   member: { burst: 5, perHour: 30 }, // per member per topic
+ *   newMember: { burst: 2, perHour: 6 }, // per member per topic, for new or flagged members
+ *   network: { burst: 20, perHour: 120 }, // per client network per topic
+ *   newMemberAge: 3 * 24 * 60 * 60 * 1000, // 3 days
+ *   duplicateWindow: 10 * 60 * 1000, // 10 minutes
+ * returns { checkArticle }, see below
+ */
+function createPostingLimits (options) {
+  options = _.defaults({}, options, {
+    member: { burst: 5, perHour: 30 },
+    newMember: { burst: 2, perHour: 6 },
+    network: { burst: 20, perHour: 120 },
+    newMemberAge: 3 * 24 * 60 * 60 * 1000,
+    duplicateWindow: 10 * 60 * 1000,
+  })
+  const store = options.store || new MemoryThrottleStore()
+  let queue = Promise.resolve() // checks run one at a time so parallel posts can't all read a full bucket
+
+  /**
+   * Helper returning the limits for topic, topic.limits first
+   */
+  function limitsFor (topic) {
+    return _.defaults({}, topic.limits, _.pick(options, [ 'member', 'newMember', 'network' ]))
+  }
+
+  /**
+   * Resolves true if member gets the newMember limits: first seen less than newMemberAge ago, or flagged by a
+   * moderator. flags the server raises itself (by 'system', e.g. a reused refresh token) don't count
+   */
+  function isNewMember (member) {
+    if (member.isModerator()) {
+      return Promise.resolve(false)
+    }
+    if (_.some(member.flags, flag => flag.by !== 'system')) {
+      return Promise.resolve(true)
+    }
+    return member.getFirstSeen()
+      .then(firstSeen => !firstSeen || Date.parse(firstSeen) > Date.now() - options.newMemberAge)
+  }
+
+  /**
+   * Resolves if member may post text in topic from ip, taking a token from its buckets and remembering the text.
+   * Otherwise rejects with 429 and takes nothing. ip is optional, e.g. for seeds
+   */
+  function checkArticle (member, topic, text, ip) {
+    let result = queue.then(() => takeArticle(member, topic, text, ip))
+    queue = result.catch(_.noop)
+    return result
+  }
+
+  /**
+   * Helper doing the work of checkArticle
+   */
+  function takeArticle (member, topic, text, ip) {
+    let now = Date.now()
+    let network = ip && (ipPrefix(ip) || ip)
+    let hash = textHash(text)
+    let duplicateKeys = _.compact([ `duplicate:member:${member.handle}:${hash}`, network && `duplicate:network:${network}:${hash}` ])
+    let reject = (reason, err) => {
+      rejections.inc({ reason, topic: topic.id })
+      logger.info('%s refused for handle %s from %s in %s: %s', reason, member.handle, network, topic.id, err.message)
+      throw err
+    }
+    return Promise.all(duplicateKeys.map(key => store.get(key)))
+      .then(duplicates => {
+        let duplicate = _.maxBy(_.compact(duplicates), 'until')
+        if (duplicate) {
+          reject('duplicate', tooManyArticles(duplicate.until, 'duplicate article, wait before posting it again', 'duplicate_article'))
+        }
+        return isNewMember(member)
+      })
+      .then(isNew => {
+        let limits = limitsFor(topic)
+        let buckets = _.compact([
+          { key: `bucket:member:${member.handle}:${topic.id}`, limit: isNew ? limits.newMember : limits.member },
+          network && { key: `bucket:network:${network}:${topic.id}`, limit: limits.network },
+        ])
+        return Promise.all(buckets.map(bucket => store.get(bucket.key)))
+          .then(records => {
+            buckets.forEach((bucket, index) => { bucket.record = refill(records[index], bucket.limit, now) })
+            let empty = buckets.filter(bucket => bucket.record.tokens < 1)
+            if (empty.length) {
+              let retryAt = _.max(empty.map(bucket => now + (1 - bucket.record.tokens) / (bucket.limit.perHour / (60 * 60 * 1000))))
+              reject(isNew ? 'new member limit' : 'limit', tooManyArticles(retryAt, 'posting too fast, try again later', 'rate_limited'))
+            }
+            // a bucket is full again after burst / perHour hours, so it can expire then
+            return Promise.all(buckets.map(bucket => store.put(bucket.key, {
+              tokens: bucket.record.tokens - 1,
+              updatedAt: now,
+            }, Math.ceil(bucket.limit.burst / bucket.limit.perHour * 60 * 60 * 1000))))
+          })
+      })
+      .then(() => Promise.all(duplicateKeys.map(key =>
+        store.put(key, { until: now + options.duplicateWindow }, options.duplicateWindow))))
+  }
+
+  return { checkArticle }
+}
+
+exports.createPostingLimits = createPostingLimits
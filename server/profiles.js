@@ -0,0 +1,108 @@
+/**
+ * Public behavioral profiles - the curated view of a member anyone can see
+ *
+ * Profile shape: {
+ *   handle, moderator,
+ *   retiredAt: ISO date the identity was abandoned or null,
+ *   firstSeen, lastSeen: ISO dates the member's trackers were first and last active (see linking.js),
+ *   articleCounts: { total, byTopic: { topicId: count } },
+ *   activity: [ 24 ] articles posted by UTC hour of day,
+ *   links: [ { relation, handle, reason, at, hidden } ] linked and abandoned identities,
+ *   claims: [ { id, fromHandle, claimedAt, status, rejectedAt } ] trackers claimed with link codes,
+ *   suspectedLinks: [ { handle, confidence, signals } ] see linking.findSuspects,
+ * }
+ * Trackers are never exposed. The article statistics are cached per member and updated incrementally as
+ * articles are inserted; edits, deletes and moderation just drop the cached statistics. Suspected links are cached
+ * by linking.js.
+ * Hidden links (abandoned identities) are only included for moderators, or for everyone once HIDDEN_LINK_DELAY passed.
+ */
+'use strict'
+
+const _ = require('lodash')
+const { pubsub } = require('./subscriptions')
+const linking = require('./linking')
+const models = require('./models')
+
+const HIDDEN_LINK_DELAY = 90 * 24 * 60 * 60 * 1000 // 90 days
+
+const articleStats = new Map() // handle => { total, byTopic, activity, lastArticleAt }
+
+/**
+ * Helper to add one article to the article statistics (mutates and returns stats)
+ */
+function addArticle (stats, article) {
+  stats.total++
+  stats.byTopic[article.topic.id] = (stats.byTopic[article.topic.id] || 0) + 1
+  stats.activity[(new Date(article.createdAt)).getUTCHours()]++
+  stats.lastArticleAt = _.max([ stats.lastArticleAt, article.createdAt ])
+  return stats
+}
+
+/**
+ * Helper to resolve the cached article statistics of a member, computing them if needed
+ */
+function getArticleStats (member) {
+  if (articleStats.has(member.handle)) {
+    return Promise.resolve(articleStats.get(member.handle))
+  }
+  return models.Article.findByAuthor(member)
+    .then(articles => {
+      let stats = articles.reduce(addArticle, { total: 0, byTopic: {}, activity: _.fill(Array(24), 0), lastArticleAt: null })
+      articleStats.set(member.handle, stats)
+      return stats
+    })
+}
+
+pubsub.subscribe('articleAdded', article => {
+  let stats = articleStats.get(_.get(article, 'author.handle'))
+  if (stats) {
+    addArticle(stats, article)
+  }
+})
+
+pubsub.subscribe('articleChanged', article => {
+  articleStats.delete(_.get(article, 'author.handle'))
+})
+
+/**
+ * Returns a claim without the trackers involved
+ */
+function publicClaim (claim) {
+  return _.pick(claim, [ 'id', 'fromHandle', 'claimedAt', 'status', 'rejectedAt' ])
+}
+
+/**
+ * Returns the links of member the viewer may see
+ */
+function visibleLinks (member, moderator) {
+  let disclosed = Date.now() - HIDDEN_LINK_DELAY
+  return member.links
+    .filter(link => !link.hidden || moderator || Date.parse(link.at) <= disclosed)
+    .map(link => _.extend(_.pick(link, [ 'relation', 'handle', 'reason', 'at' ]), { hidden: !!link.hidden }))
+}
+
+/**
+ * Resolves to the public profile of member
+ * options: { moderator: false } true if viewed with the moderate scope
+ */
+function getProfile (member, options) {
+  return Promise.all([
+    getArticleStats(member),
+    linking.getProfile(member),
+    linking.findSuspects(member),
+  ]).then(([ stats, activity, suspectedLinks ]) => ({
+    handle: member.handle,
+    moderator: member.isModerator(),
+    retiredAt: member.retiredAt || null,
+    firstSeen: activity.firstSeen,
+    lastSeen: _.max(_.compact([ activity.lastSeen, stats.lastArticleAt ])) || null,
+    articleCounts: { total: stats.total, byTopic: _.clone(stats.byTopic) },
+    activity: _.clone(stats.activity),
+    links: visibleLinks(member, _.get(options, 'moderator')),
+    claims: member.claims.map(publicClaim),
+    suspectedLinks,
+  }))
+}
+
+exports.publicClaim = publicClaim
+exports.getProfile = getProfile
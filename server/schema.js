@@ -0,0 +1,209 @@
+/**
+ * GraphQL schema for the API
+ *
+ * Resolver context: {
+ *   logId: req.logId,
+ *   session: req.session or the websocket equivalent { sub, mutation },
+ *   member: the member associated with session.sub,
+ *   models,
+ * }
+ *
+ * Mutations are only resolved when session.mutation is true, i.e. the request was authenticated with the
+ * Authorization header (double submit) so GraphQL gets the same CSRF protection as the REST mutationRouter.
+ */
+'use strict'
+
+const _ = require('lodash')
+const httpErrors = require('http-errors')
+const { makeExecutableSchema } = require('graphql-tools')
+
+const { validationError } = require('./errors')
+const linking = require('./linking')
+const models = require('./models')
+const validation = require('./validation')
+const schemas = require('../shared/schemas')
+
+const typeDefs = `
+# content rules for new and edited articles
+type TopicPosting {
+  # members first seen more recently can't post
+  minAccountAgeHours: Float
+  # at most this many characters, or the API limit when null
+  maxLength: Int
+  # markup allowed besides plain text: links, images, code, html
+  markup: [String]
+}
+
+type Topic {
+  id: String!
+  title: String!
+  description: String
+  # asset name and its URL
+  icon: String
+  iconUrl: String
+  # article order when none is asked for: newest or oldest
+  defaultSort: String
+  # false forbids mentioning or linking to other topics and their articles
+  crossTopicReferences: Boolean
+  posting: TopicPosting
+  locked: Boolean
+  articles: [Article]
+}
+
+type Member {
+  handle: String!
+  articles(topicId: String): [Article]
+}
+
+type ArticleVersion {
+  text: String!
+  editedAt: String!
+}
+
+type Article {
+  id: String!
+  topic: Topic!
+  text: String!
+  author: Member!
+  # the article this replies to and the first article in the thread
+  parentId: String
+  rootId: String
+  replies: [Article]
+  createdAt: String!
+  editedAt: String
+  history: [ArticleVersion]
+}
+
+type Query {
+  topics: [Topic]
+  topic(id: String!): Topic
+  # handle can be '@me' for the current member
+  member(handle: String!): Member
+  articles(topicId: String, author: String): [Article]
+  article(id: String!): Article
+}
+
+type Mutation {
+  createArticle(topicId: String!, text: String!, parentId: String): Article
+  editArticle(id: String!, text: String!): Article
+  # soft delete, returns the id of the deleted article
+  deleteArticle(id: String!): String
+}
+
+type Subscription {
+  # published whenever a new article is inserted, optionally only for one topic or one thread (by its first article id)
+  articleAdded(topicId: String, threadId: String): Article
+}
+
+schema {
+  query: Query
+  mutation: Mutation
+  subscription: Subscription
+}
+`
+
+/**
+ * Helper to resolve a member handle, where '@me' is the current member
+ */
+function getMember (handle, context) {
+  return handle === '@me' ? Promise.resolve(context.member) : models.Member.getByHandle(handle)
+}
+
+/**
+ * Helper to resolve an article by id. Hidden and deleted articles only exist for moderators
+ */
+function getArticle (id, context) {
+  return models.Article.getById(id)
+    .then(article => (article && (!(article.hidden || article.deleted) || _.get(context, 'session.moderate'))) ? article : null)
+}
+
+/**
+ * Helper to resolve an article the current member may change, failing otherwise. Changes by moderators are audited
+ */
+function getChangeableArticle (id, context, action) {
+  return getArticle(id, context)
+    .then(article => {
+      if (!article) {
+        throw httpErrors(404, 'article not found')
+      }
+      if (!article.canChange(context.member, context.session)) {
+        throw httpErrors(403, 'only the author or a moderator may change this article')
+      }
+      if (article.author && article.author.handle === context.member.handle) {
+        return article
+      }
+      return models.Audit.record(action, article.id, context.member.handle, '').then(() => article)
+    })
+}
+
+/**
+ * Helper to wrap each mutation resolver so it fails unless the session is authenticated for mutation
+ */
+function requireMutation (resolvers) {
+  return _.mapValues(resolvers, resolver => (root, args, context, info) => {
+    if (!_.get(context, 'session.mutation')) {
+      throw httpErrors(401, 'credentials required')
+    }
+    return resolver(root, args, context, info)
+  })
+}
+
+const resolvers = {
+  Query: {
+    topics: () => models.Topic.find(),
+    topic: (root, { id }) => models.Topic.getById(id),
+    member: (root, { handle }, context) => getMember(handle, context),
+    articles: (root, { topicId, author }, context) => {
+      if (!author) {
+        return models.Article.findByAuthor(null, topicId)
+      }
+      return getMember(author, context)
+        .then(member => member ? models.Article.findByAuthor(member, topicId) : [])
+    },
+    article: (root, { id }, context) => getArticle(id, context),
+  },
+  Mutation: requireMutation({
+    createArticle: (root, args, context) => {
+      const { topicId, text, parentId } = validation.check(schemas.createArticle, args)
+      const topic = models.Topic.getById(topicId)
+      return (parentId ? getArticle(parentId, context) : Promise.resolve())
+        .then(parent => {
+          if (parentId && !parent) {
+            throw validationError([ { field: 'parentId', message: 'must be an existing article' } ])
+          }
+          return models.Article.insert(topic, { text, parent, ip: context.ip }, context.member)
+        })
+        .then(article => {
+          linking.recordArticle(context.session.sub, article)
+          return article
+        })
+    },
+    editArticle: (root, { id, text }, context) => {
+      text = validation.check(schemas.updateArticle, { text }).text
+      return getChangeableArticle(id, context, 'article.edit')
+        .then(article => article.edit(text, context.member.handle))
+    },
+    deleteArticle: (root, { id }, context) => getChangeableArticle(id, context, 'article.delete')
+      .then(article => article.remove(context.member.handle))
+      .then(article => article.id),
+  }),
+  Subscription: {
+    // the root value is the payload passed to pubsub.publish
+    articleAdded: article => article,
+  },
+  Article: {
+    // note: unlike the REST thread, hidden and deleted replies are left out rather than kept as placeholders
+    replies: article => models.Article.getThread(article.id, 1)
+      .then(thread => thread.replies.filter(reply => !reply.hidden && !reply.deleted)),
+  },
+  Topic: {
+    articles: topic => models.Article.findByAuthor(null, topic.id),
+  },
+  Member: {
+    articles: (member, { topicId }) => models.Article.findByAuthor(member, topicId),
+  },
+}
+
+const schema = makeExecutableSchema({ typeDefs, resolvers })
+
+exports.schema = schema
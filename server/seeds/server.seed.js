@@ -8,8 +8,6 @@ const logger = require('../logs').logger('seeds')
 const _ = require('lodash')
 const models = require('../models')
 
-logger.always('Seeding models with sample data')
-
 /**
  * Create mock text for article
  */
@@ -18,12 +16,16 @@ function mockText () {
 }
 
 /**
- * Create a few members and articles
+ * Create a few members and articles, unless persistent storage already has some
  */
-let topic = models.Topic.getById('flame')
-_.times(3, () => {
-  models.Member.insert(models.Member.generateTracker())
-    .then(member => {
-      models.Article.insert(topic, { text: mockText() }, member)
-    })
-})
+models.Article.findByAuthor()
+  .then(articles => {
+    if (articles.length) {
+      return
+    }
+    logger.always('Seeding models with sample data')
+    let topic = models.Topic.getById('flame')
+    return Promise.all(_.times(3, () => models.Member.insert(models.Member.generateTracker())
+      .then(member => models.Article.insert(topic, { text: mockText() }, member))))
+  })
+  .catch(err => logger.error('failed to seed sample data', err))
@@ -3,6 +3,7 @@
 const logs = require('./logs')
 const logger = logs.logger('server')
 
+const _ = require('lodash')
 const fs = require('fs')
 const path = require('path')
 const httpErrors = require('http-errors')
@@ -13,41 +14,134 @@ const helmet = require('helmet')
 const cookieParser = require('cookie-parser')
 const bodyParser = require('body-parser')
 const serveStatic = require('serve-static')
+const { formatError } = require('graphql')
+const { runHttpQuery } = require('graphql-server-core')
 
-// const { createServer } = require('http')
+const { createServer } = require('http')
 
+const metrics = require('./metrics')
 const session = require('./session')
+const errors = require('./errors')
+const { Keyring } = require('./keyring')
+const { createThrottle, MemoryThrottleStore } = require('./throttle')
+const { createPostingLimits } = require('./posting')
+const linking = require('./linking')
+const subscriptions = require('./subscriptions')
 const models = require('./models')
+const { store } = require('./storage')
 const api = require('./api')
+const { schema } = require('./schema')
 
 const publicRoot = path.normalize(path.resolve(__dirname, './public'))
-const PORT = process.env.PORT || 3000
-// const WS_PORT = process.env.WS_PORT || PORT
+const PORT = Number(process.env.PORT || 3000)
+const WS_PORT = Number(process.env.WS_PORT || PORT) // numbers, so WS_PORT=3000 with the default PORT shares its server
+// the proxies in front of us: a hop count (e.g. 1 for a single load balancer) or comma separated addresses and subnets
+const TRUST_PROXY = /^\d+$/.test(process.env.TRUST_PROXY)
+  ? Number(process.env.TRUST_PROXY)
+  : process.env.TRUST_PROXY || 'loopback'
+const METRICS_PORT = process.env.METRICS_PORT // optional internal port for /metrics, unset means no metrics server
 const ROOT_URL = process.env.ROOT_URL || `http://localhost:${PORT}`
-const SESSION_SECRET = process.env.SESSION_SECRET || 'keyboard-cat'
+const DEFAULT_SESSION_SECRET = 'keyboard-cat'
+// an empty SESSION_SECRET means only the keys in storage are used, see keyring.js
+const SESSION_SECRET = _.isUndefined(process.env.SESSION_SECRET) ? DEFAULT_SESSION_SECRET : process.env.SESSION_SECRET
+
+// everyone knows the default secret, so anyone could forge session tokens
+if (process.env.NODE_ENV === 'production' && SESSION_SECRET === DEFAULT_SESSION_SECRET) {
+  throw new Error('refusing to start in production with the default SESSION_SECRET')
+}
+
+// JWT signing keys: SESSION_SECRET plus any added with bin/keys.js
+const keyring = new Keyring({ secret: SESSION_SECRET })
+keyring.ready.then(() => {
+  if (!keyring.signingKey()) {
+    logger.fatal('no active signing key, set SESSION_SECRET or add one with bin/keys.js')
+    process.exit(1)
+  }
+})
 
 // pull in repository and build data for logging as written by bin/git-describe
 const version = JSON.parse(fs.readFileSync(path.join(publicRoot, 'version.json')))
 
+const refreshTrackers = metrics.counter('refresh_trackers_total',
+  'Trackers seen by session refresh: returning, new, or new replacing a revoked one', [ 'kind' ])
+
+// resolves to the build version, storage health and whether we can sign tokens, with ok when all is well
+function checkHealth () {
+  return Promise.all([ keyring.ready, store.health() ])
+    .then(([ , storage ]) => {
+      let signing = !!keyring.signingKey()
+      return { ok: storage.ok && signing, version, storage, signing }
+    })
+}
+
+// liveness: the process is up and answering. always 200 so the process isn't restarted over a storage problem
+function healthzHandler (req, res, next) {
+  checkHealth()
+    .then(health => res.json(health))
+    .catch(err => next(err))
+}
+
+// readiness: 503 until the storage is healthy and tokens can be signed, so the load balancer holds traffic
+function readyzHandler (req, res, next) {
+  checkHealth()
+    .then(health => res.status(health.ok ? 200 : 503).json(health))
+    .catch(err => next(err))
+}
+
 // test route response (designed to be safe in production)
 function jsonCredentialsResponseHandler (req, res) {
   res.json({
     mutation: req.session.mutation,
     tracker: req.session.sub,
     handle: req.member.handle,
+    previous: req.session.previous, // present when a revoked, expired or abandoned tracker or stale cookie was replaced
     rtm: (new Date()).toISOString(),
   })
 }
 
+// header-only mode token response, see session.routeIssueTokens
+function jsonTokensResponseHandler (req, res) {
+  res.json(_.extend({
+    tracker: req.session.sub,
+    handle: req.member.handle,
+    previous: req.session.previous, // present when a revoked or abandoned tracker was replaced
+  }, req.tokens))
+}
+
+// graphqlExpress without its bare text HTTP errors (e.g. a mutation by GET is 405): those go to the error handler,
+// so they get the same JSON error body as every other route (see errors.js). GraphQL errors are JSON already and are
+// sent as is
+function routeGraphql (options) {
+  return function (req, res, next) {
+    runHttpQuery([ req, res ], { method: req.method, options, query: req.method === 'POST' ? req.body : req.query })
+      .then(gqlResponse => res.type('json').send(gqlResponse))
+      .catch(err => {
+        if (err.name !== 'HttpQueryError') {
+          return next(err)
+        }
+        res.set(err.headers || {})
+        return err.isGraphQLError ? res.status(err.statusCode).send(err.message) : next(httpErrors(err.statusCode, err.message))
+      })
+  }
+}
+
 var app = express()
 
 // attach a unique logging ID to every request, and selectively log HTTP requests
 app.use(logs.identifyRequest({}))
 app.use(logs.connectLogger())
 
+// health checks for the load balancer, mounted before the metrics so its polling isn't counted
+app.route('/healthz').get(healthzHandler)
+app.route('/readyz').get(readyzHandler)
+
+// count requests and their latency by route and status, served on METRICS_PORT
+app.use(metrics.routeMetrics())
+
 // configure some best practices, serve some default content
-// trust X-Forwarded-* headers from our load balancer
-app.enable('trust proxy')
+// only trust X-Forwarded-* headers from our own proxies, otherwise anyone could pick their req.ip (and network) and
+// get around the throttles and posting limits
+app.set('trust proxy', TRUST_PROXY)
 app.use(helmet())
 app.use(compression())
 
@@ -55,6 +149,13 @@ app.use(compression())
 app.use(favicon(path.join(publicRoot, 'favicon.ico')))
 app.use(serveStatic(publicRoot))
 
+// public keys for other services verifying our RS256 and ES256 tokens
+app.route('/.well-known/jwks.json').get((req, res, next) => {
+  keyring.ready
+    .then(() => res.json(keyring.jwks()))
+    .catch(err => next(err))
+})
+
 // note: noCache prevents IE and Safari from caching any AJAX responses
 // note: etag caching and 304s cause AJAX content issues on every browser except Chrome
 app.disable('etag')
@@ -64,10 +165,33 @@ app.use(helmet.noCache())
 app.route('/test/error/400').get((req, res, next) => { next(httpErrors(400, 'error 400 test point')) })
 app.route('/test/error/403').get((req, res, next) => { next(httpErrors(403, 'error 403 test point')) })
 
-// TODO: protect against distributed brute force signature guessing; although not needed with a sufficiently random key.
-// suggest "white-list" approach with limited new untrusted connections per time period.
-// failing a JWT signature (not expiration) removes from whitelist.
+// protect against distributed brute force signature guessing; although not needed with a sufficiently random key.
+// each client network gets a limited number of new trackers per time period, and failing a JWT signature (not
+// expiration) blocks the network for an escalating penalty. see throttle.js
 // Interesting aside see https://community.risingstack.com/zeromq-node-js-cracking-jwt-tokens-part2/
+// the throttle and the posting limits below share one store, their keys don't overlap
+const throttleStore = new MemoryThrottleStore()
+const throttle = createThrottle({
+  store: throttleStore,
+  newTrackerLimit: 20,
+  newTrackerWindow: 60 * 60 * 1000, // 1 hour
+  penaltyBase: 1000, // 1 second, doubling with each failure
+  penaltyMax: 60 * 60 * 1000, // 1 hour
+  failureWindow: 24 * 60 * 60 * 1000, // 1 day
+})
+app.use(throttle.route())
+
+// flood control for new articles: token buckets per member and per client network in each topic, stricter for new
+// or flagged members, and the same text can't be posted again for a while. topics can set their own limits, e.g.
+// heated topics attracting sock puppets, see topics.json and posting.js
+models.Article.setPostingLimits(createPostingLimits({
+  store: throttleStore,
+  member: { burst: 5, perHour: 30 },
+  newMember: { burst: 2, perHour: 6 },
+  network: { burst: 20, perHour: 120 }, // shared by everyone behind the same NAT
+  newMemberAge: 3 * 24 * 60 * 60 * 1000, // 3 days
+  duplicateWindow: 10 * 60 * 1000, // 10 minutes
+}))
 
 // upgrade the request logging ID to show we are authenticating the session
 app.use(logs.identifyRequest({ getTrustLevel () { return 'A' } }))
@@ -79,32 +203,78 @@ app.use(logs.identifyRequest({ getTrustLevel () { return 'A' } }))
 // associateAndRefresh adds req.session
 // we add req.member
 app.use(cookieParser())
-app.use(session.routeAssociateAndRefresh({
+const sessionOptions = {
   iss: ROOT_URL,
-  secret: SESSION_SECRET,
+  keyring,
   refreshMaxAge: 365 * 24 * 60 * 60 * 1000, // 1 year (i.e. forever, longer tracks the user agent longer)
   sessionMaxAge: 5 * 60 * 1000, // 5 minutes (shorter is better except server needs to see it before it expires)
   sessionEarlyRefresh: 1 * 60 * 1000, // 1 minute (should be shorter than sessionMaxAge)
-  refreshSub: (req, prevSub) =>
-    models.Member.findByTracker(prevSub)
-      .then(member => {
-        // lookup existing tracker. if it's null or purposely expired returned member will be null
-        if (member) {
+  onVerifyFailure: (req, err) => throttle.recordSignatureFailure(req, err),
+  // refresh tokens are single use. one used again was probably stolen, so revoke its tracker and flag the member
+  rotateRefresh: (req, used, replacement) => models.RefreshFamily.rotate(used, replacement.jti)
+    .then(status => {
+      if (status !== 'reused') {
+        return status
+      }
+      return models.Member.findByTracker(used.sub)
+        .then(member => {
+          if (!member) {
+            return // already revoked
+          }
+          logger.id(req).warn(`refresh token reused, revoking tracker ${used.sub} of handle ${member.handle}`)
+          return Promise.all([
+            member.flag('refresh token reused', 'system'),
+            models.Member.revokeTracker(used.sub, 'refresh token reused', 'system'),
+          ])
+        })
+        .then(() => status)
+    }),
+  refreshSub: (req, prevSub, options) =>
+    Promise.all([ models.Member.findByTracker(prevSub), models.Member.getRevocation(prevSub) ])
+      .then(([ member, revocation ]) => {
+        // lookup existing tracker. if it's null or revoked returned member will be null.
+        // a revocation is final, even if the tracker is associated with a member again
+        if (member && !revocation) {
           logger.id(req).info(`returning tracker ${prevSub} as handle ${member.handle}`)
+          refreshTrackers.inc({ kind: 'returning' })
           return [ prevSub, member ]
-        } else {
+        }
+        if (_.get(options, 'existing')) {
+          return [ null, undefined ] // revoked, and the caller doesn't want a replacement
+        }
+        // new trackers are limited per client network
+        return throttle.checkNewTracker(req).then(() => {
           // generate a short string that humans can use to help track a user on the site and in logs
           let sub = models.Member.generateTracker()
+          if (revocation) {
+            // revoked trackers get a new identity, but it stays linked to the revoked one.
+            // other user agents of an abandoned identity keep the link hidden just like the one that abandoned it
+            logger.id(req).info(`revoked tracker ${prevSub} replaced by new tracker ${sub}`)
+            refreshTrackers.inc({ kind: 'revoked' })
+            req.session.previous = _.extend({ status: 'revoked' }, _.pick(revocation, [ 'tracker', 'reason', 'revokedAt' ]))
+            return Promise.all([ sub, models.Member.insert(sub)
+              .then(member => models.Member.linkSuccessor(revocation.handle, member, 'revoked', {
+                hidden: revocation.reason === 'abandoned',
+              })) ])
+          }
           logger.id(req).info(`new tracker ${sub}`)
+          refreshTrackers.inc({ kind: 'new' })
           // create a new member here and associate with the new tracker
           return Promise.all([ sub, models.Member.insert(sub) ]) // force member promise to resolve
-        }
+        })
       })
       .then(values => {
         req.member = values[1] // attach the member to the request
         return values[0] // returns prevSub or new sub back to session findSub
       })
-}))
+}
+
+// header-only mode for native and other non-browser clients: tokens in JSON bodies and Authorization headers,
+// never cookies. these come first so cookie-less clients don't get a cookie tracker too
+app.route('/api/tokens').post(session.routeIssueTokens(sessionOptions), jsonTokensResponseHandler)
+app.route('/api/tokens/session').post(session.routeExchangeToken(sessionOptions), jsonTokensResponseHandler)
+
+app.use(session.routeAssociateAndRefresh(sessionOptions))
 
 // upgrade the request logging ID to include the session and member handle
 app.use(logs.identifyRequest({
@@ -112,6 +282,36 @@ app.use(logs.identifyRequest({
   getSessionId (req) { return req.session.sub }
 }))
 
+// collect ip prefix, user agent and activity hour signals used to link return visitors (see linking.js)
+app.use(linking.routeRecordSignals({
+  interval: 10 * 60 * 1000, // 10 minutes (each tracker contributes at most one sample per interval)
+}))
+
+// update the tracker's saved req.ip, userAgent and last seen time for the member's session list (members/@me/sessions)
+// at most once per 10 minutes per tracker, unless it moved or changed user agent
+const TOUCH_INTERVAL = 10 * 60 * 1000 // 10 minutes
+const TRACKERS_SEEN_MAX = 10000
+const trackersSeen = new Map() // tracker => { at, ip, userAgent } last saved, oldest first
+app.use((req, res, next) => {
+  let seen = { at: new Date(), ip: req.ip, userAgent: req.get('user-agent') }
+  let last = trackersSeen.get(req.session.sub)
+  if (!last || last.at < seen.at - TOUCH_INTERVAL || last.ip !== seen.ip || last.userAgent !== seen.userAgent) {
+    trackersSeen.delete(req.session.sub) // set again below to keep the Map oldest first
+    trackersSeen.set(req.session.sub, seen)
+    // forget trackers not seen for TOUCH_INTERVAL, they are saved again on their next request anyway.
+    // if that's not enough, forget the oldest so the Map stays within TRACKERS_SEEN_MAX
+    for (let [ tracker, entry ] of trackersSeen) {
+      if (entry.at >= seen.at - TOUCH_INTERVAL && trackersSeen.size <= TRACKERS_SEEN_MAX) {
+        break
+      }
+      trackersSeen.delete(tracker)
+    }
+    models.Member.touchTracker(req.session.sub, seen)
+      .catch(err => logger.id(req).error('touch tracker failed %s', err.message)) // never fail the request
+  }
+  next()
+})
+
 // these paths are effectively no-ops to allow web agent and AJAX session refresh
 // TODO: consider option to only refresh session on these routes to simplify non browser jwt handling
 app.route('/').get((req, res, next) => {
@@ -122,6 +322,27 @@ app.route('/api/refresh').get(jsonCredentialsResponseHandler)
 // primary API query routes
 app.use('/api', bodyParser.json(), api.queryRouter)
 
+// GraphQL queries (GET or POST) share the session context above.
+// mutations are only resolved when req.session.mutation is true (Authorization header), see schema.js
+app.use('/graphql', bodyParser.json(), routeGraphql(req => ({
+  schema,
+  context: {
+    logId: req.logId,
+    ip: req.ip,
+    session: req.session,
+    member: req.member,
+    models,
+  },
+  debug: false, // errors are logged here instead of dumping stacks to the console
+  formatError (err) {
+    logger.id(req).info('graphql error %s', err.message)
+    // resolver errors get the same status, code, message and details as REST errors, see errors.js
+    return err.originalError
+      ? _.extend(formatError(err), errors.errorBody(err.originalError, req.logId))
+      : formatError(err)
+  },
+})))
+
 // any other GET requests are 404
 app.route('*').get((req, res, next) => {
   next(httpErrors(404))
@@ -131,15 +352,54 @@ app.route('*').get((req, res, next) => {
 // we are much less vulnerable to CSRF so we can do mutations (POST, PUT, DELETE).
 app.use(session.routeAuthenticateForMutation({
   iss: ROOT_URL,
-  secret: SESSION_SECRET,
+  keyring,
+  onVerifyFailure: sessionOptions.onVerifyFailure,
 }))
 
-// TODO: optionally update tracker's saved req.ip, userAgent, etc.
-
 // end point for feature testing (note: designed to be safe in production)
 app.route('/test/mutation').get(jsonCredentialsResponseHandler)
 
-// TODO: authenticate for upgrading to sensitive routes and route handlers for same (protect with per member rate limit)
+// upgrade to a short life session jwt with sensitive scope by checking the member password (per member rate limit)
+// protect routes handling sensitive data with session.requireScope('sensitive')
+app.route('/api/sensitive').post(bodyParser.json(), session.routeGrantScope({
+  iss: ROOT_URL,
+  keyring,
+  scope: 'sensitive',
+  scopeMaxAge: 2 * 60 * 1000, // 2 minutes (just long enough to view or change sensitive data)
+  maxFailures: 5,
+  failureWindow: 15 * 60 * 1000, // 15 minutes
+  rateLimitKey: req => req.member.handle,
+  authenticate: req => req.member.checkPassword(_.get(req.body, 'password')),
+}))
+
+// upgrade to a short life session jwt with moderate scope, only for moderators, by checking their password
+// protect routes changing other's public data with session.requireScope('moderate')
+app.route('/api/moderate').post(bodyParser.json(), session.routeGrantScope({
+  iss: ROOT_URL,
+  keyring,
+  scope: 'moderate',
+  scopeMaxAge: 15 * 60 * 1000, // 15 minutes (a moderation session)
+  maxFailures: 5,
+  failureWindow: 15 * 60 * 1000, // 15 minutes
+  rateLimitKey: req => req.member.handle,
+  authenticate: req => req.member.isModerator()
+    ? req.member.checkPassword(_.get(req.body, 'password'))
+    : Promise.resolve(false),
+}))
+
+// abandon the current identity ("start over"). the member is retired and this user agent gets a new tracker, handle
+// and cookies, or tokens in header-only mode. the old and new identities stay linked, but the link is hidden (see
+// profiles.js)
+app.route('/api/members/@me/abandon').post(session.routeReplaceSession(_.extend({}, sessionOptions, {
+  status: 'abandoned',
+  replaceSub: req => throttle.checkNewTracker(req)
+    .then(() => req.member.abandon())
+    .then(result => {
+      logger.id(req).info(`handle ${req.member.handle} abandoned for handle ${result.member.handle}`)
+      req.member = result.member
+      return result.tracker
+    }),
+})), (req, res) => req.tokens ? jsonTokensResponseHandler(req, res) : jsonCredentialsResponseHandler(req, res))
 
 // primary API mutation routes
 //   context: {
@@ -154,25 +414,20 @@ app.use('/api', bodyParser.json(), api.mutationRouter)
 // error handlers must be last routes defined
 //
 
-// custom error for 401 and 403 and 404
-app.use((err, req, res, next) => {
-  if (!err || ![401, 403, 404].includes(err.status)) {
-    return next(err)
-  }
-  res.status(err.status).json({ status: err.status, message: err.message })
+// any other mutation requests are 404
+app.use((req, res, next) => {
+  next(httpErrors(404))
 })
 
-// in development mode we can pretty print any uncaught errors
-if (app.get('env') === 'development') {
-  app.use(require('errorhandler')())
-}
+// every error is a JSON body { status, code, message, logId, details }, see errors.js
+// in development mode we include the message and stack of server errors
+app.use(errors.routeErrorHandler({ stack: app.get('env') === 'development' }))
 
 // start the server
 let appServer = app.listen(PORT, () => logger.always(
   `API Server build ${version.raw} is now running on http://localhost:${PORT}`
 ))
 
-/* FUTURE
 // by default use the app server for WebSocket server for subscriptions too
 // however, if WS_PORT differs then create a unique WebSocket server.
 // Aside two servers complicates session cookie management, but we don't use cookies on the webSocket anyway to avoid CSRF
@@ -187,9 +442,36 @@ if (WS_PORT !== PORT) {
     `Websocket Server is now running on http://localhost:${WS_PORT}`
   ))
 }
-*/
+
+// internal server for Prometheus to scrape metrics, and the health checks. keep METRICS_PORT off the public network
+let metricsServer = null
+if (METRICS_PORT) {
+  const internalApp = express()
+  internalApp.get('/metrics', metrics.metricsHandler)
+  internalApp.get('/healthz', healthzHandler)
+  internalApp.get('/readyz', readyzHandler)
+  metricsServer = internalApp.listen(METRICS_PORT, () => logger.always(
+    `Metrics Server is now running on http://localhost:${METRICS_PORT}/metrics`
+  ))
+}
+
+// GraphQL subscriptions. each subscribe message carries its own session jwt in the sessionToken variable
+subscriptions.createSubscriptionServer({
+  server: websocketServer,
+  path: '/subscriptions',
+  schema,
+  iss: ROOT_URL,
+  keyring,
+  onVerifyFailure: sessionOptions.onVerifyFailure,
+  trustProxy: app.get('trust proxy fn'),
+  subscribeSub: (wsReq, sub) =>
+    models.Member.findByTracker(sub)
+      .then(member => member && { member }), // revoked trackers resolve null
+})
 
 // expose app (useful for integration and e2e testing)
 exports.app = app
 exports.appServer = appServer
-// exports.websocketServer = websocketServer
+exports.websocketServer = websocketServer
+exports.metricsServer = metricsServer
+exports.throttleStore = throttleStore
@@ -6,9 +6,9 @@
  * after they have built up a profile worth saving. Meanwhile the application attempts to link individual
  * user sessions to surface return vistors with the intent of automatically building public behavioral
  * profiles. Users with sufficient motivation can manually link previous user sessions; although care is
- * taken to surface misleading identity claims. The application also provides the ability to abandon an identity,
- * but at some level the new and old identities remain surfaced as being linked. In short we explicitly track
- * user agent sessions (trackers) and infer people (members) relations from these.
+ * taken to surface misleading identity claims. The application also provides the ability to abandon an identity
+ * (see routeReplaceSession), but at some level the new and old identities remain surfaced as being linked.
+ * In short we explicitly track user agent sessions (trackers) and infer people (members) relations from these.
  * tracker is 1-1 to member, but a member is many-to-1 to tracker and multiple members can reference the same tracker.
  *
  * We will use three tokens to identify web user agents.
@@ -22,7 +22,10 @@
  * We're still using httpOnly cookies to store long lived session identifier; hereafter the refresh token. The refresh
  * token will be somewhat protected from XSS but left purposely vulnerable to CSRF; the CSRF will be mitigated
  * by scoping the refresh token to only be used for refreshing the session token.
- * As an aside, non-web based clients should still be able to read the "httpOnly" refresh token.
+ * As an aside, non-web based clients should still be able to read the "httpOnly" refresh token. Better yet they can
+ * skip cookies entirely: get a refresh and session token pair in a JSON body (routeIssueTokens), send the session
+ * token in the Authorization header, and exchange the refresh token in the Authorization header for a new session
+ * token (routeExchangeToken).
  * To facilitate automatic refresh the session will be refreshed on any GET of the default content (index.html) as
  * well as an "/api/refresh" JSON endpoint provided for that purpose.  The refresh returns the session token as a
  * non-httpOnly cookie accessible to JS.
@@ -53,7 +56,10 @@
  *   exp/iat/jti: typical usage; jti is unique across all types of tokens so we can keep analytics
  *   iss: server website URL (env.ROOT_URL)
  *   sub: unique user agent tracker ID; this value remains unchanged across refresh events
+ *   fam: refresh tokens only, the jti of the first refresh token in the family. every refresh token is single use
+ *     and replaced by the next in its family; an old one used again revokes the tracker (see spendRefresh)
  *   scope: one of 'refresh' or 'session'. Or an array of 'session' plus 'sensitive' and or 'moderate'
+ * The JWT header kid names the signing key, so keys can be rotated without logging everyone out, see keyring.js
  *
  * See https://www.npmjs.com/package/learn-json-web-tokens
  *
@@ -63,6 +69,8 @@
  *   sensitive: token scope as flags (decoded.scope)
  *   moderate: token scope as flags (decoded.scope)
  *   mutation: true if the authentication is resistant to CSRF
+ *   previous: { tracker, status: 'expired', 'revoked' or 'abandoned', ... } when a new tracker replaced the one
+ *     presented, or { status: 'invalid' } when the refresh cookie presented was stale
  *
  * HISTORY:
  * Inspired by http://stackoverflow.com/q/39525320
@@ -75,6 +83,7 @@
 'use strict'
 
 const logger = require('./logs').logger('session')
+const metrics = require('./metrics')
 
 const _ = require('lodash')
 const uuidV4 = require('uuid/v4')
@@ -87,6 +96,49 @@ const cookieNames = {
   session: 'session.jwt',
 }
 
+const verifyFailures = metrics.counter('jwt_verify_failures_total', 'JWT verification failures by reason', [ 'reason' ])
+
+/**
+ * Helper to count a jwt verification failure by a short reason, e.g. 'expired', 'invalid signature' or
+ * 'jwt issuer invalid' (without the expected issuer)
+ */
+function countVerifyFailure (err) {
+  let reason = {
+    TokenExpiredError: 'expired',
+    NotBeforeError: 'not active',
+    JsonWebTokenError: err.message.split('.')[0],
+  }[err.name]
+  verifyFailures.inc({ reason: reason || 'error' })
+}
+
+/**
+ * Helper true when a jwt names one of our keys but doesn't carry its signature, i.e. it was forged.
+ * A malformed jwt or one naming an unknown or retired key (see keyring.js) is just stale, e.g. a cookie that outlived
+ * a key rotation, so it is not a forgery
+ */
+function isForged (err) {
+  return err.name === 'JsonWebTokenError' &&
+    /^(invalid signature|invalid algorithm|jwt signature is required)/.test(err.message)
+}
+
+/**
+ * Helper to validate a jwt, reporting forged jwts to options.onVerifyFailure(req, err) if present
+ * callback done(err, decoded)
+ */
+function verifyJwt (req, jwt, options, done) {
+  options.keyring.verify(jwt, {
+    issuer: options.iss
+  }, (err, decoded) => {
+    if (err) {
+      countVerifyFailure(err)
+    }
+    if (err && isForged(err) && options.onVerifyFailure) {
+      options.onVerifyFailure(req, err)
+    }
+    done(err, decoded)
+  })
+}
+
 /**
  * Helper to read and validate a jwt in the Authentication Bearer [jwt] header
  * callback done(err, decoded or null)
@@ -102,9 +154,7 @@ function authenticateHeaderIfPresent (req, options, done) {
   if (!/^Bearer$/i.test(scheme)) {
     return done(httpErrors(401, 'credentials bad scheme'))
   }
-  jsonWebToken.verify(jwt, options.secret, {
-    issuer: options.iss
-  }, done)
+  verifyJwt(req, jwt, options, done)
 }
 
 /**
@@ -119,24 +169,37 @@ function authenticateCookie (req, name, options, done) {
   if (!jwt) {
     return done(httpErrors(401, 'credentials required'))
   }
-  jsonWebToken.verify(jwt, options.secret, {
-    issuer: options.iss
-  }, done)
+  verifyJwt(req, jwt, options, done)
 }
 
 /**
- * Helper to create a new refresh jwt and return it in a cookie
+ * Helper to sign a new jwt with claims { sub, scope, ... } that expires after maxAge milliseconds
  * callback done(err, jwt)
  */
-function newRefreshCookie (req, res, sub, options, done) {
-  jsonWebToken.sign({
+function signToken (claims, maxAge, options, done) {
+  options.keyring.sign(_.extend({
     jti: uuidV4(),
     iss: options.iss,
-    sub,
-    scope: 'refresh',
-  }, options.secret, {
-    expiresIn: Math.floor(options.refreshMaxAge / 1000), // TODO: probably should fudge edge case so cookie expires before jwt
-  }, (err, jwt) => {
+  }, claims), {
+    expiresIn: Math.floor(maxAge / 1000),
+  }, done)
+}
+
+/**
+ * Helper returns the expiration time of a jwt we just signed as an ISO date
+ */
+function expiresAt (jwt) {
+  return (new Date(jsonWebToken.decode(jwt).exp * 1000)).toISOString()
+}
+
+/**
+ * Helper to create a new refresh jwt and return it in a cookie
+ * claims: { sub } plus { jti, fam } when it replaces an older refresh jwt, see spendRefresh
+ * callback done(err, jwt)
+ */
+function newRefreshCookie (req, res, claims, options, done) {
+  // TODO: probably should fudge edge case so cookie expires before jwt
+  signToken(_.extend({ scope: 'refresh' }, claims), options.refreshMaxAge, options, (err, jwt) => {
     if (err) {
       return done(err)
     }
@@ -154,14 +217,7 @@ function newRefreshCookie (req, res, sub, options, done) {
  * callback done(err, jwt)
  */
 function newSessionCookie (req, res, sub, options, done) {
-  jsonWebToken.sign({
-    jti: uuidV4(),
-    iss: options.iss,
-    sub,
-    scope: 'session',
-  }, options.secret, {
-    expiresIn: Math.floor(options.sessionMaxAge / 1000),
-  }, (err, jwt) => {
+  signToken({ sub, scope: 'session' }, options.sessionMaxAge, options, (err, jwt) => {
     if (err) {
       return done(err)
     }
@@ -178,7 +234,7 @@ function newSessionCookie (req, res, sub, options, done) {
  * callback next(err, sessionJwt)
  */
 function newRefreshAndSessionCookie (req, res, sub, options, done) {
-  newRefreshCookie(req, res, sub, options, (err /* , jwt */) => {
+  newRefreshCookie(req, res, { sub }, options, (err /* , jwt */) => {
     if (err) {
       return done(err)
     }
@@ -186,6 +242,59 @@ function newRefreshAndSessionCookie (req, res, sub, options, done) {
   })
 }
 
+/**
+ * Helper to sign a new session jwt, and a new refresh jwt if refreshClaims, without cookies (header-only mode)
+ * refreshClaims: {} for a new family or { jti, fam } when it replaces an older refresh jwt, see spendRefresh
+ * callback done(err, { sessionToken, expiresAt, refreshToken, refreshExpiresAt })
+ */
+function newTokens (sub, refreshClaims, options, done) {
+  let tokens = {}
+  let signSession = () => signToken({ sub, scope: 'session' }, options.sessionMaxAge, options, (err, jwt) => {
+    if (err) {
+      return done(err)
+    }
+    tokens.sessionToken = jwt
+    tokens.expiresAt = expiresAt(jwt)
+    done(null, tokens)
+  })
+  if (!refreshClaims) {
+    return signSession()
+  }
+  signToken(_.extend({ sub, scope: 'refresh' }, refreshClaims), options.refreshMaxAge, options, (err, jwt) => {
+    if (err) {
+      return done(err)
+    }
+    tokens.refreshToken = jwt
+    tokens.refreshExpiresAt = expiresAt(jwt)
+    signSession()
+  })
+}
+
+/**
+ * Helper to spend the refresh jwt used (decoded) to get a new session jwt. Refresh jwts are single use: each one is
+ * replaced by a new refresh jwt in the same family (fam claim, the jti of the family's first refresh jwt).
+ * options.rotateRefresh(req, used, replacement) tracks the families and resolves to the status of used:
+ * 'current' (replace it), 'recent' (already replaced by a parallel request, keep the replacement) or 'reused' (stolen)
+ * resolves to the replacement { jti, fam } claims, or null if there is no replacement; rejects 401 if reused
+ */
+function spendRefresh (req, used, options) {
+  let replacement = { jti: uuidV4(), fam: used.fam || used.jti }
+  return (options.rotateRefresh ? options.rotateRefresh(req, used, replacement) : Promise.resolve('current'))
+    .then(status => {
+      if (status === 'reused') {
+        throw httpErrors(401, 'credentials reused')
+      }
+      return status === 'current' ? replacement : null
+    })
+}
+
+/**
+ * Helper returns true if the decoded jwt is a session token (possibly with more scope), not a refresh token
+ */
+function hasSessionScope (decoded) {
+  return _.isArray(decoded.scope) ? decoded.scope.includes('session') : decoded.scope === 'session'
+}
+
 /**
  * Helper returns true if token is nearing time it will expire
  */
@@ -210,8 +319,10 @@ function promoteDecodedToSession (decoded) {
 
 /**
  * Assumes cookie-parser has already been applied.
+ * Browsers use cookies. Native and other non-browser clients skip cookies entirely by getting their tokens from
+ * routeIssueTokens and routeExchangeToken then sending the session jwt in the Authorization header, which works here.
  *
- * TODO: this is ridiculously complex and probably for no good reason, it's not native client friendly. maybe better to:
+ * TODO: this is ridiculously complex and probably for no good reason. maybe better to:
  * - just use Authorize header (session jwt) if present and valid and not revoked: fail on error
  * - just use refresh jwt cookie if present and valid and not revoked: create new refresh and session cookies on error
  * then if we're on "refresh route" (options.refresh) then follow up
@@ -220,11 +331,14 @@ function promoteDecodedToSession (decoded) {
  *
  * options:
  *   iss: ROOT_URL,
- *   secret: SESSION_SECRET,
+ *   keyring: signing keys, see keyring.js
  *   refreshMaxAge: 365 * 24 * 60 * 60 * 1000, // 1 year (i.e. forever, longer tracks the user agent longer)
  *   sessionMaxAge: 5 * 60 * 1000, // 5 minutes (shorter is better except server needs to see it before it expires)
  *   sessionEarlyRefresh: 1 * 60 * 1000, // 1 minute (should be shorter than sessionMaxAge)
- *   refreshSub: (req, prevSub) => Promise.resolve(0)
+ *   refreshSub: (req, prevSub, { existing }) => Promise.resolve(0) // may set req.session.previous when it replaces
+ *     prevSub. with existing it never replaces prevSub, resolving null instead when prevSub is revoked
+ *   rotateRefresh: (req, used, replacement) => Promise.resolve('current') // optional, see spendRefresh
+ *   onVerifyFailure: (req, err) => {} // optional, called when a jwt is forged, not when it is expired or stale
  */
 function routeAssociateAndRefresh (options) {
   return function doRouteAssociateAndRefresh (req, res, next) {
@@ -243,6 +357,21 @@ function routeAssociateAndRefresh (options) {
       })
     }
 
+    /**
+     * Helper to spend the refresh jwt used then create a new session cookie, plus the replacement refresh cookie
+     */
+    function nextWithRotatedSession (used) {
+      spendRefresh(req, used, options)
+        .then(replacement => {
+          let withSession = err => err ? next(err) : newSessionCookie(req, res, used.sub, options, err => next(err))
+          if (!replacement) {
+            return withSession()
+          }
+          newRefreshCookie(req, res, _.extend({ sub: used.sub }, replacement), options, withSession)
+        })
+        .catch(reason => next(reason)) // pass fatal error
+    }
+
     /**
      * Helper to handle cases where previous session existed, was valid, and was not revoked.
      * Includes aggressively updating the session cookie if the refresh cookie was present (indicating cookies in requests)
@@ -256,7 +385,7 @@ function routeAssociateAndRefresh (options) {
         return next()
       }
       if (req.session.decoded.scope !== 'refresh') { // i.e. scope === 'session' or scope.contains('session')
-        if (!almostExpired(req.session.decoded, options.sessionEarlyRefresh)) {
+        if (!almostExpired(req.session.decoded, options)) {
           // if session token supplied and valid and not nearly expired then we don't refresh it yet
           return next()
         } else {
@@ -266,10 +395,10 @@ function routeAssociateAndRefresh (options) {
             if (err || req.session.sub !== _.get(refreshDecoded, 'sub')) {
               // refresh token available and invalid or for different subject, so the supplied session token is now suspect. throw it out
               req.session = {} // discard previous authentication
-              next(err || httpErrors(401, 'credentials mismatch'))
+              return next(err || httpErrors(401, 'credentials mismatch'))
             }
             // refresh token is available and valid. go ahead and refresh session
-            newSessionCookie(req, res, req.session.sub, options, (err, jwt) => next(err))
+            nextWithRotatedSession(refreshDecoded)
           })
         }
       } else if (req.session.decoded.scope === 'refresh') {
@@ -279,12 +408,12 @@ function routeAssociateAndRefresh (options) {
           if (!err &&
             sessionDecoded &&
             sessionDecoded.sub === req.session.sub &&
-            !almostExpired(sessionDecoded, options.sessionEarlyRefresh)) {
+            !almostExpired(sessionDecoded, options)) {
               // if session token cookie available and valid and not nearly expired then we don't refresh it yet
             return next()
           }
           // session token cookie either missing or invalid
-          newSessionCookie(req, res, req.session.sub, options, (err, jwt) => next(err))
+          nextWithRotatedSession(req.session.decoded)
         })
       } else {
         // some other token supplied; shouldn't happen
@@ -304,24 +433,43 @@ function routeAssociateAndRefresh (options) {
       if (err) {
         return next(err) // pass fatal error
       }
+      if (decoded && !hasSessionScope(decoded)) {
+        // refresh tokens in the header are only good for routeExchangeToken
+        return next(httpErrors(401, 'session token required'))
+      }
       if (decoded) {
         // authorize header session jwt was present and valid
-        return options.refreshSub(req, decoded.sub)
+        return options.refreshSub(req, decoded.sub, { existing: true })
           .then(validSub => {
-            if (validSub === decoded.sub) {
-              // authorize header session jwt was present and valid and not revoked
-              req.session.mutation = true
-              return nextWithExistingSession(decoded)
-            } else {
-              // authorize header session jwt was present and valid but was revoked. must generate new refresh and session tokens
-              return nextWithNewSession(validSub)
+            if (validSub !== decoded.sub) {
+              // authorize header session jwt was present and valid but was revoked. header-only clients never read
+              // cookies so a new identity would be lost on them, they start over with routeIssueTokens instead
+              return next(httpErrors(401, 'credentials revoked', { code: 'credentials_revoked' }))
             }
+            // authorize header session jwt was present and valid and not revoked
+            req.session.mutation = true
+            return nextWithExistingSession(decoded)
           })
           .catch(reason => next(reason)) // pass fatal error
       } else {
         // authorize header session jwt not present. use the refresh cookie
         return authenticateCookie(req, cookieNames.refresh, options, (err, decoded) => {
           logger.id(req).debug('jwt cookie %s %j', cookieNames.refresh, err || decoded)
+          if (err && err.name === 'TokenExpiredError') {
+            // refresh cookie signature is valid but it expired. start over as if it were missing, but remember it
+            req.session.previous = { tracker: _.get(jsonWebToken.decode(req.cookies[cookieNames.refresh]), 'sub'), status: 'expired' }
+            err = decoded = null
+          }
+          if (err && err.name === 'JsonWebTokenError' && !isForged(err)) {
+            // refresh cookie is stale, e.g. signed with a retired key. start over, its tracker can't be trusted
+            req.session.previous = { status: 'invalid' }
+            err = decoded = null
+          }
+          if (err && isForged(err)) {
+            // forged refresh cookie. drop the cookies so the user agent doesn't keep getting its network blocked
+            res.clearCookie(cookieNames.refresh)
+            res.clearCookie(cookieNames.session)
+          }
           if (err) {
             return next(err) // pass fatal error
           }
@@ -347,7 +495,8 @@ function routeAssociateAndRefresh (options) {
  * by default we're using Authorization header here and comparing jwt(bearer).sub against req.session.sub
  * options:
  *   iss: ROOT_URL
- *   secret: SESSION_SECRET
+ *   keyring: signing keys, see keyring.js
+ *   onVerifyFailure: (req, err) => {} // optional, see routeAssociateAndRefresh
  */
 function routeAuthenticateForMutation (options) {
   return function doRouteAuthenticateForMutation (req, res, next) {
@@ -359,6 +508,9 @@ function routeAuthenticateForMutation (options) {
       if (err || !decoded) {
         return next(err || httpErrors(401, 'credentials required'))
       }
+      if (!hasSessionScope(decoded)) {
+        return next(httpErrors(401, 'session token required'))
+      }
       if (req.session.sub !== decoded.sub) {
         // warning: this consisty check against jwt(req.cookies.find('session.jwt')).sub is trivial to fake client side
         return next(httpErrors(401, 'credentials mismatch'))
@@ -373,24 +525,219 @@ function routeAuthenticateForMutation (options) {
  * Resolves to decoded token.sub
  * options:
  *   iss: ROOT_URL,
- *   secret: SESSION_SECRET,
+ *   keyring: signing keys, see keyring.js
  *   jwtSession: params.jwt,
  *   wsReq, // optional, if present can be used for additional authentication (turtle32 websocket req, not an Express req!)
+ *   onVerifyFailure: (wsReq, err) => {} // optional, called when the jwt is forged, see routeAssociateAndRefresh
  */
 function promiseAuthenticateForMutation (options) {
   return new Promise((resolve, reject) => {
-    jsonWebToken.verify(options.jwtSession, options.secret, {
+    options.keyring.verify(options.jwtSession, {
       issuer: options.iss
     }, (err, decoded) => {
       if (err) {
+        countVerifyFailure(err)
+        if (isForged(err) && options.onVerifyFailure) {
+          options.onVerifyFailure(options.wsReq, err)
+        }
         return reject(err)
       }
+      if (!hasSessionScope(decoded)) {
+        return reject(httpErrors(401, 'session token required'))
+      }
       // TODO: consider verifying against jwt(wsReq.cookies.find('session.jwt')).sub
       return resolve(decoded.sub)
     })
   })
 }
 
+/**
+ * Header-only mode for native and other non-browser clients, no cookies are read or written.
+ * Issues a new tracker with a refresh and session token pair. The client keeps the refresh token secret, sends the
+ * session token as "Authorization: Bearer [session jwt]" and exchanges the refresh token with routeExchangeToken
+ * for a new session token before it expires.
+ * Sets req.session for the new tracker and req.tokens = { refreshToken, refreshExpiresAt, sessionToken, expiresAt }
+ * options: as for routeAssociateAndRefresh, refreshSub is called without prevSub
+ */
+function routeIssueTokens (options) {
+  return function doRouteIssueTokens (req, res, next) {
+    req.session = {}
+    options.refreshSub(req, undefined)
+      .then(sub => nextWithTokens(req, sub, {}, options, next))
+      .catch(reason => next(reason)) // pass fatal error
+  }
+}
+
+/**
+ * Header-only mode: exchange the refresh token sent as "Authorization: Bearer [refresh jwt]" for a new session token
+ * and a replacement refresh token, see spendRefresh. The client must keep the replacement, the old one is spent.
+ * A revoked tracker is replaced by a new one (see req.session.previous) with a refresh token in a new family.
+ * An expired refresh token fails, the client should start over with routeIssueTokens.
+ * Sets req.session and req.tokens = { sessionToken, expiresAt } plus refreshToken, refreshExpiresAt unless a
+ * parallel exchange already replaced the refresh token
+ * options: as for routeAssociateAndRefresh
+ */
+function routeExchangeToken (options) {
+  return function doRouteExchangeToken (req, res, next) {
+    req.session = {}
+    authenticateHeaderIfPresent(req, options, (err, decoded) => {
+      if (err || !decoded) { // jwt errors become 401s, see errors.js
+        return next(err || httpErrors(401, 'credentials required'))
+      }
+      if (decoded.scope !== 'refresh') {
+        return next(httpErrors(401, 'refresh token required'))
+      }
+      options.refreshSub(req, decoded.sub)
+        .then(validSub => validSub === decoded.sub
+          ? spendRefresh(req, decoded, options).then(replacement => nextWithTokens(req, validSub, replacement, options, next))
+          : nextWithTokens(req, validSub, {}, options, next)) // revoked, start a new family
+        .catch(reason => next(reason)) // pass fatal error
+    })
+  }
+}
+
+/**
+ * Helper for header-only mode to sign tokens for sub and attach them to the request
+ */
+function nextWithTokens (req, sub, refreshClaims, options, next) {
+  newTokens(sub, refreshClaims, options, (err, tokens) => {
+    if (err) {
+      return next(err)
+    }
+    let decoded = jsonWebToken.decode(tokens.sessionToken)
+    _.extend(req.session, promoteDecodedToSession(decoded), { decoded })
+    req.tokens = tokens
+    next()
+  })
+}
+
+/**
+ * Replace the session subject with a brand new one, e.g. to abandon an identity, issuing new refresh and session
+ * cookies. The old refresh cookie is overwritten so the user agent can't return to the old identity.
+ * Header-only mode clients (no refresh cookie) get a new token pair in req.tokens instead, see routeIssueTokens.
+ * Assumes routeAuthenticateForMutation has already been applied.
+ * Sets req.session.previous = { tracker, status: options.status } for the replaced sub.
+ * options:
+ *   iss: ROOT_URL,
+ *   keyring: signing keys, see keyring.js
+ *   refreshMaxAge, sessionMaxAge: as for routeAssociateAndRefresh
+ *   status: 'abandoned',
+ *   replaceSub: (req, prevSub) => Promise.resolve(sub) // the new sub
+ */
+function routeReplaceSession (options) {
+  return function doRouteReplaceSession (req, res, next) {
+    let prevSub = req.session.sub
+    let withSession = (err, jwt) => {
+      if (err) {
+        return next(err)
+      }
+      let decoded = jsonWebToken.decode(jwt)
+      // the request was authenticated for mutation, the client must send the new session jwt from now on
+      req.session = _.extend(promoteDecodedToSession(decoded), {
+        decoded,
+        mutation: true,
+        previous: { tracker: prevSub, status: options.status },
+      })
+      next()
+    }
+    options.replaceSub(req, prevSub)
+      .then(sub => {
+        if (req.cookies[cookieNames.refresh]) {
+          return newRefreshAndSessionCookie(req, res, sub, options, withSession)
+        }
+        newTokens(sub, {}, options, (err, tokens) => {
+          req.tokens = tokens
+          withSession(err, tokens && tokens.sessionToken)
+        })
+      })
+      .catch(err => next(err))
+  }
+}
+
+/**
+ * Grants a short life session jwt with additional scope (e.g. 'sensitive') after additional authentication.
+ * The jwt is returned in the JSON response body, not a cookie, and must be sent in the Authorization header.
+ * Failed attempts are rate limited per rateLimitKey (e.g. member) using a fixed window.
+ * Assumes routeAuthenticateForMutation has already been applied.
+ * options:
+ *   iss: ROOT_URL,
+ *   keyring: signing keys, see keyring.js
+ *   scope: 'sensitive',
+ *   scopeMaxAge: 2 * 60 * 1000, // 2 minutes
+ *   maxFailures: 5, // failed attempts allowed per failureWindow
+ *   failureWindow: 15 * 60 * 1000, // 15 minutes
+ *   rateLimitKey: (req) => String,
+ *   authenticate: (req) => Promise.resolve(true if additional authentication succeeded)
+ */
+function routeGrantScope (options) {
+  const failures = new Map() // rateLimitKey => { count, resetAt }, oldest first as each keeps its first resetAt
+
+  /**
+   * Helper to forget the failures whose window has passed, so keys that never come back don't pile up
+   */
+  function sweepFailures (now) {
+    for (let [ key, failure ] of failures) {
+      if (failure.resetAt > now) {
+        break
+      }
+      failures.delete(key)
+    }
+  }
+
+  return function doRouteGrantScope (req, res, next) {
+    let key = options.rateLimitKey(req)
+    let failure = failures.get(key)
+    if (failure && failure.resetAt <= Date.now()) {
+      failures.delete(key)
+      failure = null
+    }
+    if (failure && failure.count >= options.maxFailures) {
+      res.set('Retry-After', Math.ceil((failure.resetAt - Date.now()) / 1000))
+      return next(httpErrors(429, 'too many attempts'))
+    }
+    options.authenticate(req)
+      .then(authenticated => {
+        if (!authenticated) {
+          if (!failure) {
+            sweepFailures(Date.now())
+            failure = { count: 0, resetAt: Date.now() + options.failureWindow }
+          }
+          failure.count++
+          failures.set(key, failure)
+          logger.id(req).info('grant %s failed %d times for %s', options.scope, failure.count, key)
+          return next(httpErrors(401, 'credentials invalid'))
+        }
+        failures.delete(key)
+        let scope = [ 'session', options.scope ]
+        signToken({ sub: req.session.sub, scope }, options.scopeMaxAge, options, (err, jwt) => {
+          if (err) {
+            return next(err)
+          }
+          logger.id(req).info('granted %s to %s', options.scope, key)
+          res.json({ token: jwt, scope, expiresAt: expiresAt(jwt) })
+        })
+      })
+      .catch(reason => next(reason)) // pass fatal error
+  }
+}
+
+/**
+ * Middleware to fail with 403 unless the session token carries the scope, e.g. requireScope('sensitive')
+ */
+function requireScope (scope) {
+  return function doRequireScope (req, res, next) {
+    if (!req.session || !req.session[scope]) {
+      return next(httpErrors(403, `${scope} scope required`))
+    }
+    next()
+  }
+}
+
 exports.routeAssociateAndRefresh = routeAssociateAndRefresh
 exports.routeAuthenticateForMutation = routeAuthenticateForMutation
 exports.promiseAuthenticateForMutation = promiseAuthenticateForMutation
+exports.routeIssueTokens = routeIssueTokens
+exports.routeExchangeToken = routeExchangeToken
+exports.routeReplaceSession = routeReplaceSession
+exports.routeGrantScope = routeGrantScope
+exports.requireScope = requireScope
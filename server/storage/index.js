@@ -0,0 +1,54 @@
+/**
+ * Storage adapter selection
+ *
+ * Models persist plain JSON records through a single shared adapter chosen by environment variables:
+ *   STORAGE: 'memory' (default) nothing survives a restart, or 'jsonlog' an append-only JSON log file
+ *   STORAGE_PATH: log file for 'jsonlog' (default server/data/storage.jsonl)
+ *   STORAGE_COMPACT: 'false' to leave the 'jsonlog' log as is on startup, see bin/keys.js
+ *
+ * Every adapter implements this interface. All methods return a Promise and records are copied in and out,
+ * so callers never share object references with the store.
+ *   get(collection, key) => record or undefined
+ *   put(collection, key, record) => record
+ *   remove(collection, key) => undefined
+ *   find(collection, predicate) => [ record ] in insertion order, predicate(record) is optional
+ *   health() => { type, ok, error } where error briefly says why it isn't ok, for the /readyz endpoint
+ */
+'use strict'
+
+const logger = require('../logs').logger('storage')
+
+const path = require('path')
+
+const { MemoryStore } = require('./memory.store')
+const { JsonLogStore } = require('./jsonlog.store')
+
+const adapters = {
+  memory: MemoryStore,
+  jsonlog: JsonLogStore,
+}
+
+/**
+ * Create a storage adapter
+ * options:
+ *   type: 'memory' or 'jsonlog'
+ *   path: file name for 'jsonlog'
+ *   compact: true to compact the 'jsonlog' log on startup
+ */
+function createStore (options) {
+  const Adapter = adapters[options.type]
+  if (!Adapter) {
+    throw new Error(`unknown STORAGE adapter ${options.type}`)
+  }
+  logger.always(`Using ${options.type} storage${options.type === 'memory' ? '' : ` at ${options.path}`}`)
+  return new Adapter(options)
+}
+
+const store = createStore({
+  type: (process.env.STORAGE || 'memory').trim().toLowerCase(),
+  path: process.env.STORAGE_PATH || path.resolve(__dirname, '../data/storage.jsonl'),
+  compact: process.env.STORAGE_COMPACT !== 'false',
+})
+
+exports.createStore = createStore
+exports.store = store
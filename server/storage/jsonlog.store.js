@@ -0,0 +1,112 @@
+/**
+ * Append-only JSON log storage adapter.
+ *
+ * Every change is appended to the log file as one JSON object per line:
+ *   { "op": "put", "c": collection, "k": key, "v": record } or { "op": "remove", "c": collection, "k": key }
+ * On startup the log is replayed into memory then compacted so it only holds the current records, unless compact
+ * is false, e.g. for command line tools that must not rewrite the log under a running server.
+ * Reads are served from memory. Good enough for a single server process, not for a cluster.
+ */
+'use strict'
+
+const logger = require('../logs').logger('storage')
+
+const fs = require('fs')
+const path = require('path')
+
+const { MemoryStore } = require('./memory.store')
+
+class JsonLogStore extends MemoryStore {
+  /**
+   * options:
+   *   path: log file name, its directory is created if needed
+   *   compact: true, rewrite the log with just the current records after replaying it
+   */
+  constructor (options) {
+    super()
+    this.path = options.path
+    this.compact = options.compact !== false
+    this.writing = Promise.resolve()
+    this.failed = false // true while the last append failed
+    this.load()
+  }
+
+  /**
+   * Synchronously replay then compact the log (see options.compact). Only called once at startup.
+   */
+  load () {
+    fs.mkdirSync(path.dirname(this.path), { recursive: true })
+    let lines = fs.existsSync(this.path) ? fs.readFileSync(this.path, 'utf8').split('\n') : []
+    lines.forEach((line, index) => {
+      if (!line.trim()) {
+        return
+      }
+      try {
+        let entry = JSON.parse(line)
+        if (entry.op === 'put') {
+          this.collection(entry.c).set(entry.k, entry.v)
+        } else if (entry.op === 'remove') {
+          this.collection(entry.c).delete(entry.k)
+        }
+      } catch (err) {
+        // most likely a partial write when the server was killed. skip it
+        logger.error('skipping bad log line %d in %s: %s', index + 1, this.path, err.message)
+      }
+    })
+
+    let compacted = []
+    this.collections.forEach((records, c) => {
+      records.forEach((v, k) => compacted.push(JSON.stringify({ op: 'put', c, k, v }) + '\n'))
+    })
+    if (this.compact) {
+      let temp = `${this.path}.tmp`
+      fs.writeFileSync(temp, compacted.join(''))
+      fs.renameSync(temp, this.path)
+    }
+    logger.info('loaded %d records from %s', compacted.length, this.path)
+  }
+
+  /**
+   * Append one entry to the log. The entry is serialized right away, so changing a record after put doesn't change
+   * what is logged. Writes are serialized so the log order matches the call order.
+   */
+  append (entry) {
+    let line = JSON.stringify(entry) + '\n'
+    let result = this.writing.then(() => new Promise((resolve, reject) => {
+      fs.appendFile(this.path, line, err => {
+        this.failed = !!err
+        return err ? reject(err) : resolve()
+      })
+    }))
+    this.writing = result.catch(() => {}) // a failed write must not block later writes
+    return result
+  }
+
+  /**
+   * Healthy when the log is writable and the last append succeeded
+   */
+  health () {
+    return new Promise(resolve => {
+      fs.access(this.path, fs.constants.W_OK, err => resolve({
+        type: 'jsonlog',
+        ok: !err && !this.failed,
+        error: err ? 'log not writable' : this.failed ? 'last write failed' : undefined,
+      }))
+    })
+  }
+
+  put (collection, key, record) {
+    let appended = this.append({ op: 'put', c: collection, k: key, v: record })
+    return super.put(collection, key, record)
+      .then(() => appended)
+      .then(() => record)
+  }
+
+  remove (collection, key) {
+    let appended = this.append({ op: 'remove', c: collection, k: key })
+    return super.remove(collection, key)
+      .then(() => appended)
+  }
+}
+
+exports.JsonLogStore = JsonLogStore
@@ -0,0 +1,56 @@
+/**
+ * In memory storage adapter. Nothing survives a server restart.
+ */
+'use strict'
+
+const _ = require('lodash')
+
+/**
+ * Helper to deep copy a JSON record so the store never shares references with callers
+ */
+function clone (record) {
+  return _.isUndefined(record) ? record : JSON.parse(JSON.stringify(record))
+}
+
+class MemoryStore {
+  constructor () {
+    this.collections = new Map()
+  }
+
+  /**
+   * Returns the Map for the named collection, creating it if needed
+   */
+  collection (name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new Map())
+    }
+    return this.collections.get(name)
+  }
+
+  get (collection, key) {
+    return Promise.resolve(clone(this.collection(collection).get(key)))
+  }
+
+  put (collection, key, record) {
+    this.collection(collection).set(key, clone(record))
+    return Promise.resolve(record)
+  }
+
+  remove (collection, key) {
+    this.collection(collection).delete(key)
+    return Promise.resolve()
+  }
+
+  find (collection, predicate) {
+    let result = Array.from(this.collection(collection).values())
+      .filter(record => !predicate || predicate(record))
+      .map(clone)
+    return Promise.resolve(result)
+  }
+
+  health () {
+    return Promise.resolve({ type: 'memory', ok: true })
+  }
+}
+
+exports.MemoryStore = MemoryStore
@@ -1,10 +1,108 @@
 /**
- * placeholder - nothing implemented here
+ * GraphQL subscriptions over WebSocket
+ *
+ * Models publish events on the shared in-process pubsub, e.g. pubsub.publish('articleAdded', article).
+ * Clients subscribe with a GraphQL subscription operation sent over the WebSocket. Because we don't use cookies
+ * on the WebSocket (CSRF) every subscribe message is authenticated on its own using the session JWT embedded in
+ * the sessionToken query variable, see session.js.
+ *
+ * Example subscribe message variables: { sessionToken: '[session jwt]', topicId: 'flame' }
+ * Replies carry parentId and rootId so clients can update open threads, or subscribe with threadId for just one.
  */
 'use strict'
 
-const pubsub = {
-  publish () { }
+const logs = require('./logs')
+const logger = logs.logger('subscriptions')
+
+const _ = require('lodash')
+const proxyAddr = require('proxy-addr')
+const { PubSub, SubscriptionManager } = require('graphql-subscriptions')
+const { SubscriptionServer } = require('subscriptions-transport-ws')
+
+const session = require('./session')
+
+/**
+ * in-process publish and subscribe. note: replace with a redis backed pubsub if we ever run more than one server
+ */
+const pubsub = new PubSub()
+
+/**
+ * Map each subscription name to the pubsub triggers it listens on and the filter applied to each published payload.
+ * args are the subscription field arguments, e.g. articleAdded(topicId: "flame")
+ */
+const setupFunctions = {
+  articleAdded: (options, args) => ({
+    articleAdded: {
+      filter: article => (!args.topicId || _.get(article, 'topic.id') === args.topicId) &&
+        (!args.threadId || article.rootId === args.threadId || article.id === args.threadId)
+    }
+  }),
+}
+
+/**
+ * Helper returns the client address of a websocket the way express req.ip does, trusting X-Forwarded-For only as
+ * far as trustProxy allows (express app.get('trust proxy fn')). Without it the socket address is used
+ */
+function clientIp (wsReq, trustProxy) {
+  return proxyAddr(wsReq.upgradeReq, trustProxy || (() => false))
+}
+
+/**
+ * Attach a GraphQL subscription WebSocket server to an existing http server
+ * options:
+ *   server: http server to listen on (the app server or a separate WS_PORT server)
+ *   path: '/subscriptions',
+ *   schema: executable GraphQL schema with a Subscription type,
+ *   iss: ROOT_URL,
+ *   keyring: signing keys, see keyring.js
+ *   subscribeSub: (wsReq, sub) => Promise.resolve(context) // rejects or resolves null if sub is revoked
+ *   onVerifyFailure: (req, err) => {} // optional, see session.js. req is just { ip, logId } of the websocket client
+ *   trustProxy: (addr, hop) => Boolean // optional, which proxies to believe about the client address, see clientIp
+ */
+function createSubscriptionServer (options) {
+  const subscriptionManager = new SubscriptionManager({
+    schema: options.schema,
+    pubsub,
+    setupFunctions,
+  })
+
+  return new SubscriptionServer({
+    subscriptionManager,
+    onSubscribe (msg, params, wsReq) {
+      let logId = { ip: clientIp(wsReq, options.trustProxy) } // doubles as the express req for onVerifyFailure
+      logs.identifyObject(logId, { getTrustLevel () { return 'A' } })
+      return session.promiseAuthenticateForMutation({
+        iss: options.iss,
+        keyring: options.keyring,
+        jwtSession: _.get(params, 'variables.sessionToken'),
+        wsReq,
+        onVerifyFailure: options.onVerifyFailure && ((wsReq, err) => options.onVerifyFailure(logId, err)),
+      })
+        .then(sub => Promise.all([ sub, options.subscribeSub(wsReq, sub) ]))
+        .then(values => {
+          let [ sub, context ] = values
+          if (!context) {
+            throw new Error('credentials revoked')
+          }
+          logs.identifyObject(logId, {
+            getTrustLevel () { return 'T' },
+            getSessionId () { return sub }
+          })
+          logger.id(logId).info(`tracker ${sub} subscribed to ${msg.operationName || 'anonymous'}`)
+          return _.extend(params, {
+            context: _.extend({}, params.context, context, { session: { sub, mutation: true } })
+          })
+        })
+        .catch(err => {
+          logger.id(logId).info('subscribe rejected %s', err.message)
+          throw err // reported to the client as subscription_fail
+        })
+    },
+  }, {
+    server: options.server,
+    path: options.path,
+  })
 }
 
 exports.pubsub = pubsub
+exports.createSubscriptionServer = createSubscriptionServer
@@ -0,0 +1,180 @@
+/**
+ * Brute force protection for session tokens, keyed by client network (IPv4 /24 or IPv6 /48, see linking.ipPrefix)
+ *
+ * Untrusted clients are those without a valid session. We limit them in two ways:
+ * - new trackers: each network may mint at most newTrackerLimit trackers (and members) per newTrackerWindow,
+ *   otherwise anyone could create unlimited identities just by dropping cookies
+ * - signature failures: a forged JWT (bad signature for one of our keys, rather than expired, malformed or naming a
+ *   retired key, see session.js) blocks the network for a penalty that doubles with each failure, from penaltyBase up
+ *   to penaltyMax. Failures are forgotten after failureWindow without another one. Guessing the signing key this way
+ *   is hopelessly slow.
+ * Blocked networks get 429 with Retry-After on every request until the penalty passes.
+ *
+ * The store is pluggable, anything implementing this interface will do (e.g. redis when we run more than one server).
+ * All methods return a Promise.
+ *   get(key) => record or undefined if missing or expired
+ *   put(key, record, ttl) => record, ttl is milliseconds until it expires
+ */
+'use strict'
+
+const logger = require('./logs').logger('throttle')
+
+const _ = require('lodash')
+const httpErrors = require('http-errors')
+const { ipPrefix } = require('./linking')
+
+/**
+ * Default in-process throttle store. Expired records are swept whenever it grows past maxSize.
+ */
+class MemoryThrottleStore {
+  constructor (options) {
+    this.maxSize = _.get(options, 'maxSize', 10000)
+    this.records = new Map() // key => { record, expiresAt }
+  }
+
+  get (key) {
+    let entry = this.records.get(key)
+    if (entry && entry.expiresAt <= Date.now()) {
+      this.records.delete(key)
+      entry = null
+    }
+    return Promise.resolve(entry ? _.cloneDeep(entry.record) : undefined)
+  }
+
+  put (key, record, ttl) {
+    if (this.records.size >= this.maxSize) {
+      this.sweep()
+    }
+    this.records.set(key, { record: _.cloneDeep(record), expiresAt: Date.now() + ttl })
+    return Promise.resolve(record)
+  }
+
+  /**
+   * Remove all records, e.g. to start over between tests
+   */
+  clear () {
+    this.records.clear()
+    return Promise.resolve()
+  }
+
+  /**
+   * Remove expired records
+   */
+  sweep () {
+    let now = Date.now()
+    this.records.forEach((entry, key) => {
+      if (entry.expiresAt <= now) {
+        this.records.delete(key)
+      }
+    })
+  }
+}
+
+/**
+ * Helper returns a 429 error, setting Retry-After on res
+ */
+function tooManyRequests (res, until, message) {
+  res.set('Retry-After', Math.max(Math.ceil((until - Date.now()) / 1000), 1))
+  return httpErrors(429, message)
+}
+
+/**
+ * Create a throttle
+ * options:
+ *   store: new MemoryThrottleStore(),
+ *   key: (req) => String, // defaults to the network prefix of req.ip
+ *   newTrackerLimit: 20,
+ *   newTrackerWindow: 60 * 60 * 1000, // 1 hour
+ *   penaltyBase: 1000, // 1 second for the first signature failure
+ *   penaltyMax: 60 * 60 * 1000, // 1 hour
+ *   failureWindow: 24 * 60 * 60 * 1000, // 1 day
+ * returns { route, checkNewTracker, recordSignatureFailure }, see below
+ */
+function createThrottle (options) {
+  options = _.defaults({}, options, {
+    key: req => ipPrefix(req.ip) || req.ip,
+    newTrackerLimit: 20,
+    newTrackerWindow: 60 * 60 * 1000,
+    penaltyBase: 1000,
+    penaltyMax: 60 * 60 * 1000,
+    failureWindow: 24 * 60 * 60 * 1000,
+  })
+  const store = options.store || new MemoryThrottleStore()
+  const ttl = Math.max(options.newTrackerWindow, options.failureWindow, options.penaltyMax)
+
+  /**
+   * Helper to read-modify-write the record of req's network
+   */
+  function update (req, modify) {
+    let key = options.key(req)
+    return store.get(key)
+      .then(record => {
+        record = modify(record || { newTrackers: [], failures: 0, lastFailureAt: 0, blockedUntil: 0 })
+        return store.put(key, record, ttl)
+      })
+  }
+
+  /**
+   * Middleware to fail with 429 while req's network is blocked. Place it before routeAssociateAndRefresh
+   */
+  function route () {
+    return function doRouteThrottle (req, res, next) {
+      store.get(options.key(req))
+        .then(record => {
+          if (record && record.blockedUntil > Date.now()) {
+            return next(tooManyRequests(res, record.blockedUntil, 'too many invalid credentials'))
+          }
+          next()
+        })
+        .catch(reason => next(reason)) // pass fatal error
+    }
+  }
+
+  /**
+   * Resolves if req's network may mint another tracker, and counts it. Otherwise rejects with 429
+   */
+  function checkNewTracker (req) {
+    let now = Date.now()
+    let allowed = true
+    let retryAt
+    return update(req, record => {
+      record.newTrackers = record.newTrackers.filter(at => at > now - options.newTrackerWindow)
+      if (record.newTrackers.length >= options.newTrackerLimit) {
+        allowed = false
+        retryAt = record.newTrackers[0] + options.newTrackerWindow
+      } else {
+        record.newTrackers.push(now)
+      }
+      return record
+    }).then(() => {
+      if (!allowed) {
+        logger.id(req).warn('new tracker limit reached for %s', options.key(req))
+        throw tooManyRequests(req.res, retryAt, 'too many new sessions')
+      }
+    })
+  }
+
+  /**
+   * Count a JWT verification failure against req's network and block it for the escalating penalty.
+   * Expired tokens are not failures, they are expected.
+   */
+  function recordSignatureFailure (req, err) {
+    let now = Date.now()
+    return update(req, record => {
+      if (record.lastFailureAt <= now - options.failureWindow) {
+        record.failures = 0
+      }
+      record.failures++
+      record.lastFailureAt = now
+      record.blockedUntil = now + Math.min(options.penaltyBase * Math.pow(2, record.failures - 1), options.penaltyMax)
+      logger.id(req).warn('jwt failure %d for %s blocked until %s: %s', record.failures, options.key(req),
+        (new Date(record.blockedUntil)).toISOString(), err && err.message)
+      return record
+    }).catch(err => logger.id(req).error('record signature failure failed %s', err.message))
+  }
+
+  return { route, checkNewTracker, recordSignatureFailure }
+}
+
+exports.MemoryThrottleStore = MemoryThrottleStore
+exports.createThrottle = createThrottle
@@ -0,0 +1,43 @@
+/**
+ * Server side of the declarative input validation, see shared/validation.js for the rules and shared/schemas.js
+ * for the schemas. Failures are structured 400 errors, see errors.js
+ */
+'use strict'
+
+const { validate } = require('../shared/validation')
+const { validationError } = require('./errors')
+const { Topic } = require('./models/topic.model')
+
+/**
+ * Helper returning the values of named oneOf rules
+ */
+function choices () {
+  return { topics: Topic.find().map(topic => topic.id) }
+}
+
+/**
+ * Returns input cleaned by schema, or throws a 400 validation error
+ */
+function check (schema, input) {
+  let result = validate(schema, input, { choices: choices() })
+  if (result.details.length) {
+    throw validationError(result.details)
+  }
+  return result.value
+}
+exports.check = check
+
+/**
+ * Middleware replacing req.body with the body cleaned by schema, or failing with a 400 validation error
+ */
+function routeValidateBody (schema) {
+  return function validateBodyHandler (req, res, next) {
+    try {
+      req.body = check(schema, req.body)
+    } catch (err) {
+      return next(err)
+    }
+    next()
+  }
+}
+exports.routeValidateBody = routeValidateBody
@@ -0,0 +1,64 @@
+/**
+ * Input schemas of the API mutations, see validation.js
+ * REST bodies are validated by server/api/index.js, GraphQL arguments by server/schema.js
+ */
+'use strict'
+
+/**
+ * for mutations that take no input
+ */
+exports.none = {}
+
+/**
+ * optional moderation reason, recorded in the audit log
+ */
+const reason = { type: 'string', maxLength: 500 }
+
+const articleText = { type: 'string', required: true, maxLength: 10000 }
+
+exports.createArticle = {
+  topicId: { type: 'string', required: true, oneOf: 'topics' },
+  text: articleText,
+  parentId: { type: 'string', maxLength: 64 },
+}
+
+exports.updateArticle = {
+  text: articleText,
+  reason,
+}
+
+exports.removeArticle = {
+  reason,
+}
+
+exports.redeemLinkCode = {
+  code: { type: 'string', required: true, maxLength: 64 },
+}
+
+// passwords are used exactly as typed
+exports.password = {
+  password: { type: 'string', required: true, minLength: 8, maxLength: 256, trim: false, normalize: false },
+}
+
+exports.moderate = {
+  reason,
+}
+
+exports.setModerator = {
+  moderator: { type: 'boolean', required: true },
+  reason,
+}
+
+exports.setLogLevels = {
+  level: { type: 'string', maxLength: 1000 },
+  trace: {
+    type: 'object',
+    nullable: true,
+    fields: {
+      sessionId: { type: 'string', maxLength: 64 },
+      reqId: { type: 'string', maxLength: 64 },
+      level: { type: 'string', maxLength: 16 },
+    },
+  },
+  reason,
+}
@@ -0,0 +1,91 @@
+/**
+ * Per topic content rules for article text, shared by the server (Article.insert and edit) and the Vue client so
+ * forms can be checked before they submit. The rules come from the topic, see GET /api/topics:
+ *   topic.posting: {
+ *     minAccountAgeHours: 24, // members first seen more recently can't post, checked by the server only
+ *     maxLength: 2000, // text length in characters, within the API limit of schemas.createArticle
+ *     markup: [ 'links' ], // markup allowed besides plain text, any of markupKinds
+ *   }
+ *   topic.crossTopicReferences: false forbids mentioning (#politics) or linking to (/topics/politics) another topic.
+ *     The server also refuses links to articles in other topics (/articles/:id), see articleReferences
+ *
+ * note: this file is built for the browser too, see validation.js
+ */
+'use strict'
+
+const _ = require('lodash')
+const validation = require('./validation')
+
+/**
+ * markup kinds a topic can allow, with how to spot them and how to name them in messages
+ * images come before links since markdown images look like links
+ */
+const markup = {
+  images: { pattern: /!\[[^\]]*\]\([^)]*\)/g, name: 'images' },
+  links: { pattern: /\bhttps?:\/\/\S+|\bwww\.[^\s.]+\.\S+|\[[^\]]*\]\([^)]*\)/gi, name: 'links' },
+  code: { pattern: /`[^`\n]+`|```/g, name: 'code' },
+  html: { pattern: /<\/?[a-z][a-z0-9-]*(\s[^<>]*)?\/?>/gi, name: 'HTML' },
+}
+const markupKinds = Object.keys(markup)
+exports.markupKinds = markupKinds
+
+/**
+ * Returns the markup kinds found in text, e.g. [ 'links', 'code' ]
+ */
+function findMarkup (text) {
+  let found = []
+  markupKinds.forEach(kind => {
+    let pattern = markup[kind].pattern
+    if (text.search(pattern) !== -1) {
+      found.push(kind)
+      text = text.replace(pattern, ' ') // so an image isn't a link too
+    }
+  })
+  return found
+}
+exports.findMarkup = findMarkup
+
+/**
+ * Returns the ids of the topics text mentions (#politics) or links to (/topics/politics), of those in topicIds
+ */
+function topicReferences (text, topicIds) {
+  return _.uniq(_.filter(topicIds, id => {
+    let escaped = _.escapeRegExp(id)
+    return new RegExp(`(^|[^\\w&])#${escaped}\\b|/topics/${escaped}\\b`, 'i').test(text)
+  }))
+}
+exports.topicReferences = topicReferences
+
+/**
+ * Returns the ids of the articles text links to, i.e. /articles/:id paths
+ */
+function articleReferences (text) {
+  let ids = []
+  text.replace(/\/articles\/([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})\b/gi,
+    (match, id) => { ids.push(id.toLowerCase()) })
+  return _.uniq(ids)
+}
+exports.articleReferences = articleReferences
+
+/**
+ * Check already validated article text against the rules of topic. topicIds are all the topic ids, e.g. from
+ * /api/topics, to spot references to other topics.
+ * returns the failures as [ { field: 'text', message } ], empty when text follows the rules
+ */
+function checkText (topic, text, topicIds) {
+  let posting = topic.posting || {}
+  let details = validation.validate({ text: { type: 'string', maxLength: posting.maxLength } }, { text }).details
+  let forbidden = _.difference(findMarkup(text), posting.markup || markupKinds)
+  if (forbidden.length) {
+    let names = forbidden.map(kind => markup[kind].name)
+    details.push({ field: 'text', message: `may not contain ${names.join(' or ')} in this topic` })
+  }
+  if (topic.crossTopicReferences === false) {
+    let others = _.without(topicReferences(text, topicIds), topic.id)
+    if (others.length) {
+      details.push({ field: 'text', message: `may not refer to other topics (${others.join(', ')})` })
+    }
+  }
+  return details
+}
+exports.checkText = checkText
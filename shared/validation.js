@@ -0,0 +1,124 @@
+/**
+ * Declarative validation of API inputs, shared by the server and the Vue client so forms validate before they submit
+ *
+ * A schema maps each allowed field to a rule:
+ *   {
+ *     type: 'string', 'boolean' or 'object',
+ *     required: true, // missing, null and (after trimming) empty strings fail
+ *     nullable: true, // null is allowed and kept, e.g. to clear a value
+ *     trim: false, // strings are trimmed unless false
+ *     normalize: false, // strings are unicode NFC normalized unless false, e.g. so é is always one character
+ *     minLength, maxLength: 1, 10000, // string length in characters (code points) after trimming and normalizing
+ *     oneOf: [ 'a', 'b' ] or 'topics', // allowed values, or the name of a list in options.choices
+ *     fields: { ... }, // the schema of an 'object'
+ *   }
+ * Fields not in the schema are rejected.
+ *
+ * note: this file is built for the browser too. keep to lodash and ES2015 syntax that needs no babel-runtime
+ * helpers (no classes, destructuring, spread or typeof)
+ */
+'use strict'
+
+const _ = require('lodash')
+
+/**
+ * type checks by rule type
+ */
+const types = {
+  string: _.isString,
+  boolean: _.isBoolean,
+  object: _.isPlainObject,
+}
+
+/**
+ * Helper returning the length of a string in code points, so an emoji counts as one character
+ */
+function characters (value) {
+  return value.replace(/[\uD800-\uDBFF][\uDC00-\uDFFF]/g, '_').length
+}
+
+/**
+ * Helper to clean and check one string value. Returns { value } or { message }
+ */
+function validateString (rule, value, options) {
+  if (rule.trim !== false) {
+    value = value.trim()
+  }
+  if (rule.normalize !== false && value.normalize) { // old browsers lack normalize, the server checks again anyway
+    value = value.normalize('NFC')
+  }
+  if (!value && rule.required) {
+    return { message: 'is required' }
+  }
+  if (_.isNumber(rule.minLength) && characters(value) < rule.minLength) {
+    return { message: `must be at least ${rule.minLength} characters` }
+  }
+  if (_.isNumber(rule.maxLength) && characters(value) > rule.maxLength) {
+    return { message: `must be at most ${rule.maxLength} characters` }
+  }
+  let choices = _.isString(rule.oneOf) ? _.get(options, [ 'choices', rule.oneOf ]) : rule.oneOf
+  if (choices && value && !_.includes(choices, value)) { // named choices the caller didn't supply aren't checked
+    return { message: `must be one of ${choices.join(', ')}` }
+  }
+  return { value }
+}
+
+/**
+ * Helper to check one field. Adds failures to details and returns the cleaned value
+ */
+function validateField (rule, field, value, options, details) {
+  if (_.isUndefined(value) || value === null) {
+    if (value === null && rule.nullable) {
+      return null
+    }
+    if (rule.required) {
+      details.push({ field, message: 'is required' })
+    }
+    return undefined
+  }
+  let type = rule.type || 'string'
+  if (!types[type](value)) {
+    details.push({ field, message: `must be a ${type}` })
+    return undefined
+  }
+  if (type === 'string') {
+    let result = validateString(rule, value, options)
+    if (result.message) {
+      details.push({ field, message: result.message })
+    }
+    return result.value
+  }
+  if (type === 'object' && rule.fields) {
+    return validateFields(rule.fields, value, options, details, `${field}.`)
+  }
+  return value
+}
+
+/**
+ * Helper to check every field of input against schema, prefixing nested field names with prefix
+ */
+function validateFields (schema, input, options, details, prefix) {
+  _.forEach(input, (value, field) => {
+    if (!_.has(schema, field)) {
+      details.push({ field: prefix + field, message: 'is not allowed' })
+    }
+  })
+  return _.omitBy(_.mapValues(schema, (rule, field) =>
+    validateField(rule, prefix + field, input[field], options, details)), _.isUndefined)
+}
+
+/**
+ * Validate input, e.g. a request body, against schema
+ * options: { choices: { topics: [ 'learning', ... ] } } values for rules with a named oneOf
+ * returns { value, details } where value holds the cleaned (trimmed, normalized) fields and details lists the
+ * failures as [ { field, message } ], empty when input is valid
+ */
+function validate (schema, input, options) {
+  let details = []
+  if (!_.isUndefined(input) && input !== null && !_.isPlainObject(input)) {
+    return { value: {}, details: [ { field: '', message: 'must be an object' } ] }
+  }
+  let value = validateFields(schema, input || {}, options, details, '')
+  return { value, details }
+}
+exports.validate = validate
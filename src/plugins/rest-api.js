@@ -1,8 +1,54 @@
 import axios from 'axios'
+import { validate } from 'shared/validation'
+import schemas from 'shared/schemas'
+import { checkText } from 'shared/topic-rules'
+
+/**
+ * Helper rejecting like the API would with a 400 validation error
+ */
+function invalid (details) {
+  return Promise.reject({ status: 400, code: 'validation_failed', message: `${details[0].field} ${details[0].message}`, details })
+}
+
+/**
+ * Helper to validate a form before it is submitted
+ */
+function validated (schema, data, options) {
+  const { value, details } = validate(schema, data, options)
+  return details.length ? invalid(details) : Promise.resolve(value)
+}
+
+/**
+ * Helper returns headers double submitting the session.jwt cookie, which the API requires for every mutation
+ */
+function withSession () {
+  const match = document.cookie.match(/(?:^|;\s*)session\.jwt=([^;]*)/)
+  return { headers: match ? { authorization: `Bearer ${match[1]}` } : {} }
+}
 
 export default {
   fetchPostsFromapi () {
     return axios.get('/api/members/@me')
       .then(({ data }) => data)
+  },
+
+  fetchTopics () {
+    return axios.get('/api/topics')
+      .then(({ data }) => data.data)
+  },
+
+  /**
+   * topics: from fetchTopics, to check the text follows the rules of its topic
+   */
+  createArticle (article, topics) {
+    const topicIds = topics.map(topic => topic.id)
+    return validated(schemas.createArticle, article, { choices: { topics: topicIds } })
+      .then(body => {
+        const topic = topics.find(topic => topic.id === body.topicId)
+        const details = checkText(topic, body.text, topicIds)
+        return details.length ? invalid(details) : body
+      })
+      .then(body => axios.post('/api/articles', body, withSession()))
+      .then(({ data }) => data)
   }
 }
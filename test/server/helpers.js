@@ -0,0 +1,94 @@
+// shared by the specs that talk to the API server over http
+
+const _ = require('lodash')
+const axios = require('axios')
+const models = require('../../server/models')
+const { appServer } = require('../../server/server') // listening on the port set by setup.js
+
+/**
+ * Request the API server without throwing on error status
+ * options: { token, cookies, userAgent, data } token is sent as the bearer token, cookies are name=value pairs
+ */
+function request (method, path, options) {
+  options = options || {}
+  let headers = {}
+  if (options.token) {
+    headers.authorization = `Bearer ${options.token}`
+  }
+  if (!_.isEmpty(options.cookies)) {
+    headers.cookie = options.cookies.join('; ')
+  }
+  if (!_.isNil(options.data)) {
+    headers['content-type'] = 'application/json' // also for malformed JSON strings
+  }
+  if (options.userAgent) {
+    headers['user-agent'] = options.userAgent
+  }
+  return axios.request({
+    method,
+    url: `http://localhost:${appServer.address().port}${path}`,
+    headers,
+    data: options.data,
+    validateStatus: () => true,
+  })
+}
+
+/**
+ * A cookie mode user agent, like a browser. tracker and handle are set by newAgent
+ */
+class Agent {
+  constructor (userAgent, jar) {
+    this.userAgent = userAgent
+    this.jar = jar || [] // cookie name=value pairs, updated from set-cookie
+  }
+
+  /**
+   * Request the API server with the cookies of this agent.
+   * Mutations double submit the session cookie as the bearer token unless options.doubleSubmit is false.
+   * options: { token, doubleSubmit } token replaces the bearer token, e.g. one with the moderate scope
+   */
+  request (method, path, data, options) {
+    options = _.defaults({}, options, { doubleSubmit: method !== 'get' })
+    let session = this.jar.find(pair => pair.startsWith('session.jwt='))
+    let token = options.token || (options.doubleSubmit && session && session.slice('session.jwt='.length))
+    return request(method, path, { token, cookies: this.jar, userAgent: this.userAgent, data })
+      .then(res => {
+        (res.headers['set-cookie'] || []).map(cookie => cookie.split(';')[0]).forEach(pair => {
+          this.jar = this.jar.filter(old => old.split('=')[0] !== pair.split('=')[0]).concat(pair)
+        })
+        return res
+      })
+  }
+}
+
+/**
+ * Resolves to a new Agent with the tracker and handle of its new member
+ */
+function newAgent (userAgent) {
+  let agent = new Agent(userAgent)
+  return agent.request('get', '/api/refresh')
+    .then(res => _.extend(agent, { tracker: res.data.tracker, handle: res.data.handle }))
+}
+
+/**
+ * Resolves to { agent, token } of a new moderator, token being their moderate scoped session token.
+ * Hashing the password is slow on purpose, so callers need a longer timeout
+ */
+function newModerator () {
+  let agent
+  return newAgent()
+    .then(result => {
+      agent = result
+      return agent.request('post', '/api/members/@me/password', { password: 'correct horse' })
+    })
+    .then(() => models.Member.getByHandle(agent.handle))
+    .then(member => _.extend(member, { moderator: true }).save())
+    .then(() => agent.request('post', '/api/moderate', { password: 'correct horse' }))
+    .then(res => ({ agent, token: res.data.token }))
+}
+
+exports.appServer = appServer
+exports.request = request
+exports.Agent = Agent
+exports.newAgent = newAgent
+exports.newModerator = newModerator
@@ -0,0 +1,8 @@
+// loaded before the specs, see the server-unit script in package.json
+
+// start the API server on any free port
+process.env.PORT = '0'
+const { throttleStore } = require('../../server/server')
+
+// every request comes from this machine, so start each test with the throttle and posting limits of its network fresh
+beforeEach(() => throttleStore.clear())
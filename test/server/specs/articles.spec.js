@@ -0,0 +1,298 @@
+const _ = require('lodash')
+const { expect } = require('chai')
+
+const models = require('../../../server/models')
+const { store } = require('../../../server/storage')
+const { newAgent, newModerator } = require('../helpers')
+
+describe('articles', function () {
+  this.timeout(10000)
+
+  describe('crud', () => {
+    let author, other
+
+    before(() => newAgent()
+      .then(agent => { other = agent }))
+
+    // new members may only post a couple of articles at once, see posting.js
+    beforeEach(() => newAgent()
+      .then(agent => { author = agent }))
+
+    /**
+     * Resolves to a new article by author
+     */
+    function post (text) {
+      return author.request('post', '/api/articles', { topicId: 'learning', text })
+        .then(res => {
+          expect(res.status).to.equal(201)
+          return res.data
+        })
+    }
+
+    it('should create articles with an id and timestamps', () => {
+      return post('first draft')
+        .then(article => {
+          expect(article.id).to.match(/^[0-9a-f-]{36}$/)
+          expect(Date.parse(article.createdAt)).to.be.closeTo(Date.now(), 5000)
+          expect(article).to.include({ text: 'first draft', editedAt: null, parentId: null, hidden: false, deleted: false })
+          expect(article.history).to.deep.equal([])
+          expect(article.author).to.deep.equal({ handle: author.handle })
+          expect(article.topic).to.deep.equal({ id: 'learning', title: 'new renaissance', icon: 'learning' })
+          return author.request('get', `/api/articles/${article.id}`)
+        })
+        .then(res => expect(res.data.text).to.equal('first draft'))
+    })
+
+    it('should respond 404 for unknown articles', () => {
+      return author.request('get', '/api/articles/no-such-article')
+        .then(res => expect(res.status).to.equal(404))
+    })
+
+    it('should let the author edit from any of their trackers, keeping the history', () => {
+      let article, device
+      return Promise.all([ post('rough draft'), newAgent() ])
+        .then(results => {
+          [ article, device ] = results
+          return author.request('post', '/api/members/@me/link-codes', {})
+        })
+        .then(res => device.request('post', '/api/members/@me/claims', { code: res.data.code }))
+        .then(() => device.request('put', `/api/articles/${article.id}`, { text: 'second draft' }))
+        .then(res => {
+          expect(res.status).to.equal(200)
+          expect(res.data).to.include({ id: article.id, text: 'second draft', createdAt: article.createdAt })
+          expect(res.data.editedAt).to.be.a('string')
+          expect(res.data.history).to.deep.equal([ { text: 'rough draft', editedAt: article.createdAt, editedBy: author.handle } ])
+        })
+    })
+
+    it('should refuse changes by other members', () => {
+      let article
+      return post('mine alone')
+        .then(result => {
+          article = result
+          return other.request('put', `/api/articles/${article.id}`, { text: 'yours now' })
+        })
+        .then(res => {
+          expect(res.status).to.equal(403)
+          return other.request('delete', `/api/articles/${article.id}`, {})
+        })
+        .then(res => {
+          expect(res.status).to.equal(403)
+          return other.request('get', `/api/articles/${article.id}`)
+        })
+        .then(res => expect(res.data.text).to.equal('mine alone'))
+    })
+
+    it('should soft delete articles', () => {
+      let article
+      return post('regrets')
+        .then(result => {
+          article = result
+          return author.request('delete', `/api/articles/${article.id}`, {})
+        })
+        .then(res => {
+          expect(res.status).to.equal(204)
+          return Promise.all([ author.request('get', `/api/articles/${article.id}`), models.Article.getById(article.id) ])
+        })
+        .then(([ res, deleted ]) => {
+          expect(res.status).to.equal(404)
+          expect(deleted).to.include({ deleted: true, text: 'regrets' })
+          return author.request('get', `/api/articles?author=${author.handle}`)
+        })
+        .then(res => expect(_.map(res.data.data, 'id')).to.not.include(article.id))
+    })
+
+    it('should keep articles of a removed topic readable and deletable, but not editable', () => {
+      let article
+      return post('orphan')
+        .then(result => {
+          article = result
+          return store.get('articles', article.id)
+        })
+        .then(record => store.put('articles', article.id, _.extend(record, { topicId: 'removed' })))
+        .then(() => author.request('get', `/api/articles/${article.id}`))
+        .then(res => {
+          expect(res.status).to.equal(200)
+          expect(res.data.topic).to.deep.equal({ id: 'removed', title: 'removed', icon: 'removed' })
+          return author.request('put', `/api/articles/${article.id}`, { text: 'adopted' })
+        })
+        .then(res => {
+          expect(res.status).to.equal(400)
+          expect(res.data.details).to.deep.equal([ { field: 'topicId', message: 'is no longer a topic' } ])
+          return author.request('delete', `/api/articles/${article.id}`, {})
+        })
+        .then(res => {
+          expect(res.status).to.equal(204)
+          return store.get('articles', article.id)
+        })
+        .then(record => expect(record).to.include({ topicId: 'removed', deleted: true }))
+    })
+
+    it('should let moderators change any article, auditing it', () => {
+      let article, moderator, moderate
+      return Promise.all([ post('moderate me'), newModerator() ])
+        .then(results => {
+          [ article, { agent: moderator, token: moderate } ] = results
+          return moderator.request('put', `/api/articles/${article.id}`, { text: 'moderated', reason: 'tone' }, { token: moderate })
+        })
+        .then(res => {
+          expect(res.status).to.equal(200)
+          return moderator.request('get', `/api/moderation/audit?target=${article.id}`, null, { token: moderate })
+        })
+        .then(res => expect(res.data.data[0]).to.include({ action: 'article.edit', reason: 'tone' }))
+    })
+  })
+
+  describe('listing', () => {
+    let author, posted, since
+
+    /**
+     * Resolves to the articles listed for query, with the next cursor
+     */
+    function list (query) {
+      return author.request('get', `/api/articles?author=${author.handle}&${query}`)
+        .then(res => {
+          expect(res.status).to.equal(200)
+          return { ids: _.map(res.data.data, 'id'), next: res.data.next }
+        })
+    }
+
+    before(() => newAgent()
+      .then(agent => {
+        author = agent
+        since = new Date().toISOString()
+        return [ 'learning', 'website', 'learning', 'website' ].reduce((previous, topicId, n) => previous
+          .then(articles => new Promise(resolve => setTimeout(resolve, 5)) // distinct createdAt
+            .then(() => author.request('post', '/api/articles', { topicId, text: `listed ${n}` }))
+            .then(res => {
+              expect(res.status).to.equal(201)
+              return articles.concat(res.data)
+            })), Promise.resolve([]))
+      })
+      .then(articles => { posted = articles }))
+
+    it('should page through the newest articles first', () => {
+      return list('limit=3')
+        .then(page => {
+          expect(page.ids).to.deep.equal(_.map(posted.slice(1).reverse(), 'id'))
+          expect(page.next).to.be.a('string')
+          return list(`limit=3&cursor=${page.next}`)
+        })
+        .then(page => expect(page).to.deep.equal({ ids: [ posted[0].id ], next: null }))
+    })
+
+    it('should sort oldest first on request or by the topic default', () => {
+      return Promise.all([ list('sort=oldest'), list('topic=website'), list('topic=website&sort=newest') ])
+        .then(([ oldest, website, newest ]) => {
+          expect(oldest.ids).to.deep.equal(_.map(posted, 'id'))
+          expect(website.ids).to.deep.equal([ posted[1].id, posted[3].id ])
+          expect(newest.ids).to.deep.equal([ posted[3].id, posted[1].id ])
+        })
+    })
+
+    it('should filter by author and time range', () => {
+      return Promise.all([
+        list(`since=${posted[2].createdAt}`),
+        list(`since=${since}&until=${posted[2].createdAt}&sort=oldest`),
+        author.request('get', '/api/articles?author=nobody'),
+      ])
+        .then(([ recent, early, nobody ]) => {
+          expect(recent.ids).to.deep.equal([ posted[3].id, posted[2].id ])
+          expect(early.ids).to.deep.equal([ posted[0].id, posted[1].id ])
+          expect(nobody.data).to.deep.equal({ data: [], next: null })
+        })
+    })
+
+    it('should refuse malformed parameters', () => {
+      return Promise.all([ 'since=yesterday', 'sort=best', 'cursor=nonsense' ].map(query => author.request('get', `/api/articles?${query}`)))
+        .then(responses => expect(_.map(responses, 'status')).to.deep.equal([ 400, 400, 400 ]))
+    })
+  })
+
+  describe('threads', () => {
+    let agents, root, first, second, nested, moderator
+
+    /**
+     * Resolves to the response of agent replying to parent in topicId
+     */
+    function reply (agent, parentId, text, topicId) {
+      return agent.request('post', '/api/articles', { topicId: topicId || 'flame', text, parentId })
+    }
+
+    /**
+     * Resolves to the thread of id as seen with token
+     */
+    function thread (id, query, token) {
+      return agents[0].request('get', `/api/articles/${id}/thread?${query || ''}`, null, { token })
+    }
+
+    before(() => Promise.all([ newAgent(), newAgent(), newAgent(), newModerator() ])
+      .then(results => {
+        [ agents, moderator ] = [ results.slice(0, 3), results[3] ]
+        return agents[0].request('post', '/api/articles', { topicId: 'flame', text: 'roast my thread' })
+      })
+      .then(res => {
+        root = res.data
+        return reply(agents[1], root.id, 'first reply')
+      })
+      .then(res => {
+        first = res.data
+        return reply(agents[2], root.id, 'second reply')
+      })
+      .then(res => {
+        second = res.data
+        return reply(agents[0], first.id, 'nested reply')
+      })
+      .then(res => { nested = res.data }))
+
+    it('should link replies to their parent and the thread root', () => {
+      expect(first).to.include({ parentId: root.id, rootId: root.id })
+      expect(nested).to.include({ parentId: first.id, rootId: root.id })
+    })
+
+    it('should respond with the thread as a tree of replies, oldest first', () => {
+      return thread(root.id)
+        .then(res => {
+          expect(res.status).to.equal(200)
+          expect(res.data).to.include({ id: root.id, replyCount: 2 })
+          expect(_.map(res.data.replies, 'id')).to.deep.equal([ first.id, second.id ])
+          expect(res.data.replies[0]).to.include({ text: 'first reply', replyCount: 1 })
+          expect(res.data.replies[0].replies[0]).to.include({ id: nested.id, replyCount: 0 })
+          expect(res.data.replies[0].replies[0].replies).to.deep.equal([])
+          return thread(first.id)
+        })
+        .then(res => expect(_.map(res.data.replies, 'id')).to.deep.equal([ nested.id ]))
+    })
+
+    it('should leave out replies below depth but still count them', () => {
+      return Promise.all([ thread(root.id, 'depth=1'), thread(root.id, 'depth=0') ])
+        .then(([ one, none ]) => {
+          expect(one.data.replies[0]).to.include({ id: first.id, replyCount: 1 })
+          expect(one.data.replies[0]).to.not.have.property('replies')
+          expect(none.data).to.include({ replyCount: 2 })
+          expect(none.data).to.not.have.property('replies')
+        })
+    })
+
+    it('should keep the place of hidden replies without their content', () => {
+      return moderator.agent.request('post', `/api/moderation/articles/${second.id}/hide`, { reason: 'not constructive' }, { token: moderator.token })
+        .then(() => Promise.all([ thread(root.id), thread(root.id, '', moderator.token) ]))
+        .then(([ member, moderated ]) => {
+          expect(member.data.replies[1]).to.include({ id: second.id, hidden: true, text: null, author: null })
+          expect(moderated.data.replies[1]).to.include({ id: second.id, hidden: true, text: 'second reply' })
+          return thread(second.id)
+        })
+        .then(res => expect(res.status).to.equal(404))
+    })
+
+    it('should refuse replies to missing articles or in other topics', () => {
+      return Promise.all([ reply(agents[2], 'no-such-article', 'into the void'), reply(agents[2], root.id, 'off topic', 'learning') ])
+        .then(([ missing, elsewhere ]) => {
+          expect(missing.status).to.equal(400)
+          expect(elsewhere.status).to.equal(400)
+          return thread('no-such-article')
+        })
+        .then(res => expect(res.status).to.equal(404))
+    })
+  })
+})
@@ -0,0 +1,98 @@
+const _ = require('lodash')
+const { expect } = require('chai')
+
+const models = require('../../../server/models')
+const { store } = require('../../../server/storage')
+const { newAgent } = require('../helpers')
+
+describe('claims', () => {
+  let deviceA, deviceB
+
+  beforeEach(() => Promise.all([ newAgent(), newAgent() ])
+    .then(agents => { [ deviceA, deviceB ] = agents }))
+
+  /**
+   * Resolves to the response of deviceB redeeming a new link code of deviceA
+   */
+  function claim () {
+    return deviceA.request('post', '/api/members/@me/link-codes', {})
+      .then(res => {
+        expect(res.status).to.equal(201)
+        expect(res.data).to.have.all.keys([ 'code', 'expiresAt' ])
+        return deviceB.request('post', '/api/members/@me/claims', { code: res.data.code })
+      })
+  }
+
+  it('should move the redeeming tracker to the member who created the code', () => {
+    return claim()
+      .then(res => {
+        expect(res.status).to.equal(201)
+        expect(res.data).to.include({ fromHandle: deviceB.handle, status: 'active' })
+        expect(res.data).to.not.have.property('tracker')
+        return deviceB.request('get', '/api/refresh')
+      })
+      .then(res => {
+        expect(res.data).to.include({ tracker: deviceB.tracker, handle: deviceA.handle })
+        return deviceA.request('get', `/api/members/${deviceA.handle}`)
+      })
+      .then(res => {
+        expect(res.data.claims).to.have.length(1)
+        expect(res.data.claims[0]).to.include({ fromHandle: deviceB.handle, status: 'active' })
+        expect(res.data.links[0]).to.include({ relation: 'claimed', handle: deviceB.handle, reason: 'claim' })
+        return deviceA.request('get', `/api/members/${deviceB.handle}`)
+      })
+      .then(res => expect(res.data.links[0]).to.include({ relation: 'claimedBy', handle: deviceA.handle }))
+  })
+
+  it('should only redeem a code once, and not on the device that created it', () => {
+    let code
+    return deviceA.request('post', '/api/members/@me/link-codes', {})
+      .then(res => {
+        code = res.data.code
+        return deviceA.request('post', '/api/members/@me/claims', { code })
+      })
+      .then(res => {
+        expect(res.status).to.equal(400)
+        expect(res.data.code).to.equal('link_code_invalid')
+        return deviceB.request('post', '/api/members/@me/claims', { code })
+      })
+      .then(res => {
+        expect(res.status).to.equal(400) // the failed attempt used it up
+        return deviceA.request('post', '/api/members/@me/link-codes', {})
+      })
+      .then(res => {
+        code = res.data.code
+        return deviceB.request('post', '/api/members/@me/claims', { code })
+      })
+      .then(res => {
+        expect(res.status).to.equal(201)
+        return deviceB.request('post', '/api/members/@me/claims', { code })
+      })
+      .then(res => expect(res.status).to.equal(400))
+  })
+
+  it('should refuse expired codes', () => {
+    return deviceA.request('post', '/api/members/@me/link-codes', {})
+      .then(res => store.get('linkCodes', res.data.code))
+      .then(linkCode => store.put('linkCodes', linkCode.code, _.extend(linkCode, { expiresAt: (new Date(Date.now() - 1000)).toISOString() })))
+      .then(linkCode => deviceB.request('post', '/api/members/@me/claims', { code: linkCode.code }))
+      .then(res => expect(res.status).to.equal(400))
+  })
+
+  it('should hand the tracker back when the claim is rejected', () => {
+    return claim()
+      .then(res => deviceA.request('delete', `/api/members/@me/claims/${res.data.id}`, {}))
+      .then(res => {
+        expect(res.status).to.equal(200)
+        expect(res.data).to.include({ status: 'rejected' })
+        expect(res.data.rejectedAt).to.be.a('string')
+        return Promise.all([ deviceB.request('get', '/api/refresh'), models.Member.getByHandle(deviceA.handle) ])
+      })
+      .then(([ res, member ]) => {
+        expect(res.data).to.include({ tracker: deviceB.tracker, handle: deviceB.handle })
+        expect(member.trackers).to.not.include(deviceB.tracker)
+        return deviceA.request('delete', `/api/members/@me/claims/${member.claims[0].id}`, {})
+      })
+      .then(res => expect(res.status).to.equal(404)) // already rejected
+  })
+})
@@ -0,0 +1,215 @@
+const { expect } = require('chai')
+const _ = require('lodash')
+const httpErrors = require('http-errors')
+const jsonWebToken = require('jsonwebtoken')
+const { errorBody, validationError } = require('../../../server/errors')
+
+const models = require('../../../server/models')
+const { request } = require('../helpers')
+
+/**
+ * Expect res to be the JSON error envelope with status and code
+ */
+function expectError (res, status, code) {
+  expect(res.status).to.equal(status)
+  expect(res.headers['content-type']).to.match(/^application\/json/)
+  expect(res.data).to.include({ status, code })
+  expect(res.data.message).to.be.a('string')
+  expect(res.data.logId).to.match(/^[UAT] \w+ /)
+  expect(res.data).not.to.have.property('stack') // NODE_ENV is test
+  return res.data
+}
+
+describe('errors', () => {
+  describe('errorBody', () => {
+    it('should keep the code and details of client errors', () => {
+      let body = errorBody(validationError([ { field: 'text', message: 'is required' } ]), 'T abcde 12345')
+      expect(body).to.deep.equal({
+        status: 400,
+        code: 'validation_failed',
+        message: 'text is required',
+        logId: 'T abcde 12345',
+        details: [ { field: 'text', message: 'is required' } ],
+      })
+      expect(errorBody(httpErrors(409, 'taken', { code: 'taken' }))).to.include({ code: 'taken', message: 'taken' })
+      expect(errorBody(httpErrors(418))).to.include({ code: 'im_a_teapot' })
+    })
+
+    it('should never expose server errors unless asked for stacks', () => {
+      let err = new Error('connection string postgres://secret')
+      err.code = 'ECONNREFUSED'
+      expect(errorBody(err)).to.deep.equal({ status: 500, code: 'internal_error', message: 'Internal Server Error' })
+      expect(errorBody(httpErrors(503, 'database down'))).to.include({ code: 'service_unavailable', message: 'Service Unavailable' })
+      let development = errorBody(err, '', { stack: true })
+      expect(development.message).to.equal(err.message)
+      expect(development.stack).to.match(/^Error: connection string/)
+    })
+
+    it('should treat jwt errors as bad credentials', () => {
+      expect(errorBody(new jsonWebToken.TokenExpiredError('jwt expired', new Date())))
+        .to.include({ status: 401, code: 'credentials_expired' })
+      expect(errorBody(new jsonWebToken.JsonWebTokenError('invalid signature')))
+        .to.include({ status: 401, code: 'credentials_invalid', message: 'credentials invalid' })
+    })
+  })
+
+  describe('routes', () => {
+    let token, tracker
+
+    before(() => request('post', '/api/tokens').then(res => { [ token, tracker ] = [ res.data.sessionToken, res.data.tracker ] }))
+
+    it('should describe invalid article queries and inputs', () => {
+      return request('get', '/api/articles?sort=sideways')
+        .then(res => {
+          expect(expectError(res, 400, 'validation_failed').details).to.deep.equal([ { field: 'sort', message: 'must be newest or oldest' } ])
+          return request('post', '/api/articles', { token, data: { topicId: 'nope', text: '' } })
+        })
+        .then(res => {
+          expect(expectError(res, 400, 'validation_failed').details).to.deep.equal([
+            { field: 'topicId', message: 'must be one of learning, politics, website, flame' },
+            { field: 'text', message: 'is required' },
+          ])
+          return request('post', '/api/articles', { token, data: { topicId: 'learning', text: 'hi', parentId: 'nope' } })
+        })
+        .then(res => expect(expectError(res, 400, 'validation_failed').details[0].field).to.equal('parentId'))
+    })
+
+    it('should respond 404 for missing articles and unknown routes', () => {
+      return request('get', '/api/articles/nope')
+        .then(res => {
+          expectError(res, 404, 'not_found')
+          return request('put', '/api/articles/nope', { token, data: { text: 'edit' } })
+        })
+        .then(res => {
+          expectError(res, 404, 'not_found')
+          return request('post', '/api/no-such-route', { token, data: {} })
+        })
+        .then(res => {
+          expectError(res, 404, 'not_found')
+          return request('get', '/api/members/no-such-member')
+        })
+        .then(res => expectError(res, 404, 'not_found'))
+    })
+
+    it('should describe invalid member inputs', () => {
+      return request('post', '/api/members/@me/password', { token, data: { password: 'short' } })
+        .then(res => {
+          expect(expectError(res, 400, 'validation_failed').details).to.deep.equal([
+            { field: 'password', message: 'must be at least 8 characters' },
+          ])
+          return request('post', '/api/members/@me/claims', { token, data: { code: 'nope' } })
+        })
+        .then(res => {
+          expectError(res, 400, 'link_code_invalid')
+          return request('post', '/api/members/@me/password', { token, data: { password: 'long enough' } })
+        })
+        .then(() => request('post', '/api/members/@me/password', { token, data: { password: 'long enough' } }))
+        .then(res => expectError(res, 409, 'password_exists'))
+    })
+
+    it('should respond 401 for bad credentials and 403 for missing scopes', () => {
+      // expired rather than forged, since signature failures get this client network throttled (see throttle.js)
+      let expired = jsonWebToken.sign({ sub: 'nobody', scope: 'refresh', exp: Math.floor(Date.now() / 1000) - 60 }, 'keyboard-cat')
+      return request('post', '/api/tokens/session', { token: expired })
+        .then(res => {
+          expectError(res, 401, 'credentials_expired')
+          return request('post', '/api/articles', { data: { topicId: 'learning', text: 'no token' } })
+        })
+        .then(res => {
+          expectError(res, 401, 'unauthorized')
+          return request('get', '/api/moderation/logs', { token })
+        })
+        .then(res => {
+          expectError(res, 403, 'forbidden')
+          return request('put', '/api/moderation/logs', { token, data: { level: 'trace' } })
+        })
+        .then(res => expectError(res, 403, 'forbidden'))
+    })
+
+    it('should respond 400 for malformed JSON bodies', () => {
+      return request('post', '/api/articles', { token, data: '{"text":' })
+        .then(res => expectError(res, 400, 'bad_request'))
+    })
+
+    it('should respond 403 without the moderate scope and 404 for missing moderation targets', () => {
+      let moderator
+      return request('post', '/api/moderation/articles/nope/hide', { token, data: { reason: 'spam' } })
+        .then(res => {
+          expectError(res, 403, 'forbidden')
+          return request('post', '/api/tokens')
+        })
+        .then(res => {
+          moderator = res.data
+          return request('post', '/api/members/@me/password', { token: moderator.sessionToken, data: { password: 'correct horse' } })
+        })
+        .then(() => models.Member.getByHandle(moderator.handle))
+        .then(member => _.extend(member, { moderator: true }).save())
+        .then(() => request('post', '/api/moderate', { token: moderator.sessionToken, data: { password: 'correct horse' } }))
+        .then(res => Promise.all([
+          request('post', '/api/moderation/articles/nope/hide', { token: res.data.token, data: { reason: 'spam' } }),
+          request('post', '/api/moderation/topics/nope/lock', { token: res.data.token, data: {} }),
+          request('post', '/api/moderation/members/nobody/flags', { token: res.data.token, data: { reason: 'rude' } }),
+        ]))
+        .then(responses => responses.forEach(res => expectError(res, 404, 'not_found')))
+    }).timeout(10000)
+
+    it('should respond 404 for missing threads', () => {
+      return request('get', '/api/articles/nope/thread', { token })
+        .then(res => expectError(res, 404, 'not_found'))
+    })
+
+    it('should refuse to revoke the current or unknown sessions', () => {
+      return request('delete', `/api/members/@me/sessions/${tracker}`, { token, data: {} })
+        .then(res => {
+          expectError(res, 400, 'bad_request')
+          return request('delete', '/api/members/@me/sessions/nope', { token, data: {} })
+        })
+        .then(res => expectError(res, 404, 'not_found'))
+    })
+
+    it('should respond 401 when abandoning an identity twice', () => {
+      let abandoned
+      return request('post', '/api/tokens')
+        .then(res => {
+          abandoned = res.data.sessionToken
+          return request('post', '/api/members/@me/abandon', { token: abandoned, data: {} })
+        })
+        .then(res => {
+          expect(res.status).to.equal(200)
+          return request('post', '/api/members/@me/abandon', { token: abandoned, data: {} })
+        })
+        .then(res => expectError(res, 401, 'credentials_revoked'))
+    })
+
+    it('should respond 405 for GraphQL mutations by GET', () => {
+      let query = encodeURIComponent('mutation { createArticle(topicId: "learning", text: "hi") { id } }')
+      return request('get', `/graphql?query=${query}`, { token })
+        .then(res => {
+          expect(expectError(res, 405, 'method_not_allowed').message).to.equal('GET supports only query operation')
+          expect(res.headers.allow).to.equal('POST')
+          return request('get', '/graphql', { token })
+        })
+        .then(res => expectError(res, 400, 'bad_request'))
+    })
+
+    it('should answer GraphQL syntax errors with the GraphQL error body', () => {
+      return request('post', '/graphql', { token, data: { query: '{ topics {' } })
+        .then(res => {
+          expect(res.status).to.equal(400)
+          expect(res.headers['content-type']).to.match(/^application\/json/)
+          expect(res.data).to.not.have.property('data')
+          expect(res.data.errors[0].message).to.match(/Syntax Error/)
+        })
+    })
+
+    it('should add the code and details to GraphQL resolver errors', () => {
+      let query = 'mutation { createArticle(topicId: "nope", text: "hi") { id } }'
+      return request('post', '/graphql', { token, data: { query } })
+        .then(res => {
+          expect(res.status).to.equal(200)
+          expect(res.data.errors[0]).to.include({ status: 400, code: 'validation_failed' })
+          expect(res.data.errors[0].details[0]).to.include({ field: 'topicId' })
+        })
+    })
+  })
+})
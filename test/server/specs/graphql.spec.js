@@ -0,0 +1,40 @@
+const _ = require('lodash')
+const { expect } = require('chai')
+
+const { Agent } = require('../helpers')
+
+describe('graphql', () => {
+  let agent = new Agent()
+  const createArticle = 'mutation { createArticle(topicId: "learning", text: "over graphql") { id author { handle } } }'
+
+  before(() => agent.request('get', '/api/refresh')
+    .then(res => { agent.handle = res.data.handle }))
+
+  it('should run queries with the session of the cookies', () => {
+    return agent.request('get', `/graphql?query=${encodeURIComponent('{ topics { id } member(handle: "@me") { handle } }')}`)
+      .then(res => {
+        expect(res.status).to.equal(200)
+        expect(_.map(res.data.data.topics, 'id')).to.include('learning')
+        expect(res.data.data.member).to.deep.equal({ handle: agent.handle })
+      })
+  })
+
+  it('should refuse mutations authenticated by cookies alone', () => {
+    return agent.request('post', '/graphql', { query: createArticle }, { doubleSubmit: false })
+      .then(res => {
+        expect(res.data.data.createArticle).to.equal(null)
+        expect(res.data.errors[0]).to.include({ status: 401, message: 'credentials required' })
+      })
+  })
+
+  it('should resolve mutations with the session token double submitted', () => {
+    return agent.request('post', '/graphql', { query: createArticle })
+      .then(res => {
+        expect(res.data.errors).to.equal(undefined)
+        expect(res.data.data.createArticle.author).to.deep.equal({ handle: agent.handle })
+        let query = `{ article(id: "${res.data.data.createArticle.id}") { text topic { id } } }`
+        return agent.request('post', '/graphql', { query })
+      })
+      .then(res => expect(res.data.data.article).to.deep.equal({ text: 'over graphql', topic: { id: 'learning' } }))
+  })
+})
@@ -0,0 +1,101 @@
+const { expect } = require('chai')
+const jsonWebToken = require('jsonwebtoken')
+const { Keyring } = require('../../../server/keyring')
+
+/**
+ * Promise wrappers for the callback style keyring
+ */
+function sign (keyring, payload) {
+  return new Promise((resolve, reject) => keyring.sign(payload, { expiresIn: 60 }, (err, jwt) => err ? reject(err) : resolve(jwt)))
+}
+function verify (keyring, jwt) {
+  return new Promise((resolve, reject) => keyring.verify(jwt, {}, (err, decoded) => err ? reject(err) : resolve(decoded)))
+}
+
+describe('keyring', () => {
+  it('should sign with the secret when there are no other keys', () => {
+    let keyring = new Keyring({ secret: 'shh', load: false })
+    return sign(keyring, { sub: 'abc' })
+      .then(jwt => {
+        expect(jsonWebToken.decode(jwt, { complete: true }).header).to.include({ alg: 'HS256', kid: 'env' })
+        return verify(keyring, jwt)
+      })
+      .then(decoded => expect(decoded.sub).to.equal('abc'))
+  })
+
+  it('should verify tokens signed before the keyring', () => {
+    let keyring = new Keyring({ secret: 'shh', load: false })
+    return verify(keyring, jsonWebToken.sign({ sub: 'abc' }, 'shh'))
+      .then(decoded => expect(decoded.sub).to.equal('abc'))
+  })
+
+  ;[ 'HS256', 'RS256', 'ES256' ].forEach(algorithm => {
+    it(`should sign ${algorithm} with the newest key and still verify older keys`, () => {
+      let keyring = new Keyring({ secret: 'shh', load: false })
+      let older
+      return sign(keyring, { sub: 'old' })
+        .then(jwt => {
+          older = jwt
+          keyring.keys.push(Keyring.generateKey(algorithm))
+          return sign(keyring, { sub: 'new' })
+        })
+        .then(jwt => {
+          expect(jsonWebToken.decode(jwt, { complete: true }).header.alg).to.equal(algorithm)
+          return Promise.all([ verify(keyring, jwt), verify(keyring, older) ])
+        })
+        .then(([ decoded, olderDecoded ]) => {
+          expect(decoded.sub).to.equal('new')
+          expect(olderDecoded.sub).to.equal('old')
+        })
+    })
+  })
+
+  it('should reject tokens signed with a retired key', () => {
+    let keyring = new Keyring({ secret: 'shh', load: false })
+    let key = Keyring.generateKey('HS256')
+    keyring.keys.push(key)
+    return sign(keyring, { sub: 'abc' })
+      .then(jwt => {
+        key.retiredAt = (new Date()).toISOString()
+        return verify(keyring, jwt)
+      })
+      .then(() => { throw new Error('expected failure') }, err => {
+        expect(err.name).to.equal('JsonWebTokenError')
+        expect(err.message).to.equal('unknown signing key')
+      })
+  })
+
+  it('should tell malformed and unknown key tokens apart from bad signatures', () => {
+    let keyring = new Keyring({ secret: 'shh', load: false })
+    return verify(keyring, 'not a jwt')
+      .then(() => { throw new Error('expected failure') }, err => {
+        expect(err.message).to.equal('jwt malformed')
+        return verify(keyring, jsonWebToken.sign({ sub: 'abc' }, 'shh', { keyid: 'gone' }))
+      })
+      .then(() => { throw new Error('expected failure') }, err => {
+        expect(err.message).to.equal('unknown signing key')
+        return verify(keyring, jsonWebToken.sign({ sub: 'abc' }, 'guess', { keyid: 'env' }))
+      })
+      .then(() => { throw new Error('expected failure') }, err => expect(err.message).to.equal('invalid signature'))
+  })
+
+  it('should only accept the algorithm of the key', () => {
+    let keyring = new Keyring({ load: false })
+    let key = Keyring.generateKey('RS256')
+    keyring.keys.push(key)
+    // classic attack: HS256 signed using the public key as the shared secret
+    let forged = jsonWebToken.sign({ sub: 'abc' }, key.publicKey, { algorithm: 'HS256', keyid: key.kid })
+    return verify(keyring, forged)
+      .then(() => { throw new Error('expected failure') }, err => expect(err.name).to.equal('JsonWebTokenError'))
+  })
+
+  it('should publish active public keys', () => {
+    let keyring = new Keyring({ secret: 'shh', load: false })
+    let key = Keyring.generateKey('ES256')
+    keyring.keys.push(key)
+    let jwks = keyring.jwks()
+    expect(jwks.keys).to.have.length(1)
+    expect(jwks.keys[0]).to.include({ kid: key.kid, alg: 'ES256', kty: 'EC', crv: 'P-256' })
+    expect(jwks.keys[0]).to.not.have.property('d')
+  })
+})
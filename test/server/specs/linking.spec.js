@@ -0,0 +1,150 @@
+const { expect } = require('chai')
+const sinon = require('sinon')
+const linking = require('../../../server/linking')
+const models = require('../../../server/models')
+const { store } = require('../../../server/storage')
+
+/**
+ * Build a synthetic fingerprint from request and article samples
+ */
+function fingerprint (handle, requests, texts) {
+  let result = linking.emptyFingerprint(`${handle}-tracker`, handle)
+  requests.forEach(request => linking.addRequestSignals(result, request))
+  texts.forEach(text => linking.addArticleSignals(result, { topic: { id: 'learning' }, text }))
+  return result
+}
+
+describe('linking', () => {
+  describe('ipPrefix', () => {
+    it('should use the IPv4 /24 network', () => {
+      expect(linking.ipPrefix('10.1.2.3')).to.equal('10.1.2.0/24')
+      expect(linking.ipPrefix('::ffff:10.1.2.3')).to.equal('10.1.2.0/24')
+    })
+
+    it('should use the IPv6 /48 network', () => {
+      expect(linking.ipPrefix('2001:db8:abcd:12::1')).to.equal('2001:db8:abcd::/48')
+      expect(linking.ipPrefix('2001:db8::1')).to.equal('2001:db8:0::/48')
+    })
+
+    it('should ignore junk', () => {
+      expect(linking.ipPrefix('')).to.equal(undefined)
+      expect(linking.ipPrefix('localhost')).to.equal(undefined)
+    })
+  })
+
+  describe('styleFeatures', () => {
+    it('should measure writing style independent of length', () => {
+      let short = linking.styleFeatures('The cat sat. The dog ran.')
+      let long = linking.styleFeatures('The cat sat. The dog ran. The cat sat. The dog ran.')
+      expect(short).to.deep.equal(long)
+      expect(short.sentenceLength).to.equal(3)
+    })
+  })
+
+  describe('rankCandidates', () => {
+    const home = { ip: '73.1.2.3', userAgent: 'Mozilla/5.0 (X11; Linux x86_64) Firefox/51.0', at: new Date('2017-02-01T21:00:00Z') }
+    const office = { ip: '192.168.7.7', userAgent: 'Mozilla/5.0 (Windows NT 10.0) Edge/14', at: new Date('2017-02-01T09:00:00Z') }
+    const calm = [ 'I think the idea is, so to speak, just a theory. And that is it.', 'It is a good point and I agree.' ]
+    const loud = [ 'NO WAY!!! 100% WRONG!!!', 'READ THIS NOW!!! 2017 IS THE YEAR!!!' ]
+
+    let member = linking.aggregate([ fingerprint('alice', [ home, home ], calm) ], 'alice')
+    let returning = linking.aggregate([ fingerprint('alice2', [ home ], [ calm[0] ]) ], 'alice2')
+    let stranger = linking.aggregate([ fingerprint('bob', [ office ], loud) ], 'bob')
+
+    it('should suspect a return visitor with matching signals', () => {
+      let result = linking.rankCandidates(member, [ member, returning, stranger ])
+      expect(result).to.have.length(1)
+      expect(result[0].handle).to.equal('alice2')
+      expect(result[0].confidence).to.be.above(0.9)
+      expect(result[0].signals.ip).to.equal(1)
+    })
+
+    it('should not suspect a stranger', () => {
+      let result = linking.score(member, stranger)
+      expect(result.confidence).to.be.below(0.3)
+      expect(linking.rankCandidates(stranger, [ member, returning ])).to.deep.equal([])
+    })
+
+    it('should respect the threshold option', () => {
+      expect(linking.rankCandidates(member, [ stranger ], { threshold: 0 })).to.have.length(1)
+    })
+  })
+
+  describe('findSuspects', () => {
+    const signals = { ip: '203.0.113.9', userAgent: 'Mozilla/5.0 (Macintosh) Safari/602.1', at: new Date('2017-02-01T07:00:00Z') }
+    let member, returning
+
+    /**
+     * Resolves once the request signals of member were recorded
+     */
+    function recordSignals (member) {
+      let req = { session: { sub: member.trackers[0] }, member, ip: signals.ip, get: () => signals.userAgent }
+      linking.routeRecordSignals({ interval: 0 })(req, {}, () => {})
+      return new Promise(resolve => setTimeout(resolve, 20))
+    }
+
+    before(() => Promise.all([ models.Member.insert(models.Member.generateTracker()), models.Member.insert(models.Member.generateTracker()) ])
+      .then(members => {
+        [ member, returning ] = members
+        return Promise.all(members.map(recordSignals))
+      })
+      .then(() => Promise.all([ member, returning ].map(author => linking.recordArticle(author.trackers[0], {
+        author, topic: { id: 'learning' }, text: 'I think the idea is, so to speak, just a theory.',
+      })))))
+
+    afterEach(() => store.find.restore && store.find.restore())
+
+    it('should suspect a return visitor, reading the fingerprints only once', () => {
+      return linking.findSuspects(member)
+        .then(suspects => {
+          expect(suspects.map(suspect => suspect.handle)).to.include(returning.handle)
+          sinon.spy(store, 'find')
+          return Promise.all([ linking.findSuspects(member), linking.findSuspects(returning) ])
+        })
+        .then(([ suspects, returningSuspects ]) => {
+          expect(suspects.map(suspect => suspect.handle)).to.include(returning.handle)
+          expect(returningSuspects.map(suspect => suspect.handle)).to.include(member.handle)
+          expect(store.find.called).to.equal(false)
+        })
+    })
+
+    it('should no longer suspect members once they are linked', () => {
+      return linking.findSuspects(member)
+        .then(() => models.Member.linkSuccessor(member.handle, returning, 'test'))
+        .then(() => models.Member.getByHandle(member.handle))
+        .then(linked => linking.findSuspects(linked))
+        .then(suspects => expect(suspects.map(suspect => suspect.handle)).to.not.include(returning.handle))
+    })
+  })
+
+  describe('routeRecordSignals', () => {
+    it('should record each tracker once per interval, forgetting the oldest past maxSize', () => {
+      let route = linking.routeRecordSignals({ interval: 60 * 60 * 1000, maxSize: 1 })
+      let requests
+
+      /**
+       * Resolves to the number of requests recorded for member after one more request
+       */
+      function visit (member) {
+        let req = { session: { sub: member.trackers[0] }, member, ip: '203.0.113.9', get: () => 'curl/7.52.1' }
+        route(req, {}, () => {})
+        return new Promise(resolve => setTimeout(resolve, 20))
+          .then(() => linking.getProfile(member))
+          .then(profile => profile.hours.reduce((sum, count) => sum + count, 0))
+      }
+
+      return Promise.all([ models.Member.insert(models.Member.generateTracker()), models.Member.insert(models.Member.generateTracker()) ])
+        .then(([ member, other ]) => visit(member)
+          .then(count => {
+            requests = count
+            return visit(member)
+          })
+          .then(count => {
+            expect(count).to.equal(requests) // within the interval
+            return visit(other)
+          })
+          .then(() => visit(member)))
+        .then(count => expect(count).to.equal(requests + 1)) // forgotten to make room for the other tracker
+    })
+  })
+})
@@ -0,0 +1,150 @@
+const { expect } = require('chai')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { RingBufferTransport, FileTransport, createTransportFromEnv } = require('../../../server/log-transports')
+
+/**
+ * Load a fresh copy of logs.js with env overrides, since the level and format are read when it loads
+ */
+function loadLogs (env) {
+  let saved = {}
+  Object.keys(env).forEach(key => {
+    saved[key] = process.env[key]
+    process.env[key] = env[key]
+  })
+  let modulePath = require.resolve('../../../server/logs')
+  delete require.cache[modulePath]
+  try {
+    return require(modulePath)
+  } finally {
+    delete require.cache[modulePath]
+    Object.keys(saved).forEach(key => {
+      if (saved[key] === undefined) {
+        delete process.env[key]
+      } else {
+        process.env[key] = saved[key]
+      }
+    })
+  }
+}
+
+describe('log transports', () => {
+  it('should keep the most recent entries in the ring buffer', () => {
+    let transport = new RingBufferTransport({ size: 2 })
+    transport.write('a', { message: 'a' })
+    transport.write('b', { message: 'b' })
+    transport.write('c', { message: 'c' })
+    expect(transport.entries.map(entry => entry.message)).to.deep.equal([ 'b', 'c' ])
+    transport.clear()
+    expect(transport.entries).to.be.empty
+  })
+
+  it('should rotate log files past maxSize', done => {
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'logs-'))
+    let file = path.join(dir, 'nested', 'server.log')
+    let transport = new FileTransport({ path: file, maxSize: 10, maxFiles: 2 })
+    ;[ 'first', 'second', 'third', 'fourth' ].forEach(line => transport.write(line))
+    transport.stream.end(() => {
+      setTimeout(() => { // let the streams of rotated files flush
+        expect(fs.readFileSync(file, 'utf8')).to.equal('fourth\n')
+        expect(fs.readFileSync(file + '.1', 'utf8')).to.equal('third\n')
+        expect(fs.readFileSync(file + '.2', 'utf8')).to.equal('second\n')
+        expect(fs.existsSync(file + '.3')).to.be.false
+        fs.rmSync(dir, { recursive: true })
+        done()
+      }, 50)
+    })
+  })
+
+  it('should select the transport from the environment', () => {
+    expect(createTransportFromEnv({ LOG_TRANSPORT: 'memory', LOG_BUFFER_SIZE: '5' }))
+      .to.be.an.instanceof(RingBufferTransport)
+      .and.have.property('size', 5)
+    expect(() => createTransportFromEnv({ LOG_TRANSPORT: 'carrier-pigeon' })).to.throw(/unknown LOG_TRANSPORT/)
+  })
+})
+
+describe('logs', () => {
+  it('should write one JSON object per line in json format', () => {
+    let logs = loadLogs({ LOG_LEVEL: 'info', LOG_FORMAT: 'json' })
+    let lines = []
+    logs.setTransport({ write: line => lines.push(line) })
+    logs.logger('session').id({ logId: 'T abcde 12345' }).info('hello %s', 'world', new Error('oops'))
+    logs.logger('session').debug('filtered out')
+    expect(lines).to.have.length(1)
+    let entry = JSON.parse(lines[0])
+    expect(entry).to.include({
+      level: 'info',
+      topic: 'session',
+      trustLevel: 'T',
+      reqId: 'abcde',
+      sessionId: '12345',
+    })
+    expect(entry.message).to.match(/^hello world/)
+    expect(entry.args[0]).to.equal('world')
+    expect(entry.args[1]).to.include({ name: 'Error', message: 'oops' })
+    expect(Date.parse(entry.timestamp)).to.be.a('number').and.not.NaN
+  })
+
+  it('should keep the text format by default', () => {
+    let logs = loadLogs({ LOG_LEVEL: 'info', LOG_FORMAT: '' })
+    let transport = new RingBufferTransport()
+    let lines = []
+    logs.setTransport({ write: (line, entry) => lines.push(line) && transport.write(line, entry) })
+    logs.logger('models').id('U fghij -').warn('count %d', 3)
+    expect(lines).to.deep.equal([ 'WARN [models] [U fghij -] count 3' ])
+    expect(transport.entries[0]).to.include({ level: 'warn', topic: 'models', sessionId: null, message: 'count 3' })
+  })
+})
+
+describe('log levels', () => {
+  let logs, transport
+
+  /**
+   * Messages logged by topics other than logs itself
+   */
+  function messages () {
+    return transport.entries.filter(entry => entry.topic !== 'logs').map(entry => entry.message)
+  }
+
+  beforeEach(() => {
+    logs = loadLogs({ LOG_LEVEL: 'info,session=trace, member = debug' })
+    transport = new RingBufferTransport()
+    logs.setTransport(transport)
+  })
+
+  it('should parse per-topic levels', () => {
+    expect(logs.getLevels()).to.deep.equal({ level: 'info', topics: { session: 'trace', member: 'debug' }, trace: null })
+    logs.logger('session').trace('session trace')
+    logs.logger('member').trace('member trace')
+    logs.logger('member').debug('member debug')
+    logs.logger('articles').debug('articles debug')
+    logs.logger('articles').info('articles info')
+    expect(messages()).to.deep.equal([ 'session trace', 'member debug', 'articles info' ])
+  })
+
+  it('should change levels at runtime', () => {
+    logs.setLevels('warn,articles=none')
+    logs.logger('session').info('session info')
+    logs.logger('articles').always('articles always')
+    logs.logger('member').warn('member warn')
+    expect(messages()).to.deep.equal([ 'member warn' ])
+    expect(() => logs.setLevels('info,session=loud')).to.throw(/unknown log level loud/)
+    expect(logs.getLevels()).to.deep.equal({ level: 'warn', topics: { articles: 'none' }, trace: null })
+  })
+
+  it('should trace one session or request', () => {
+    logs.setTrace({ sessionId: 'sssss' })
+    logs.logger('articles').id('T aaaaa sssss').trace('traced session')
+    logs.logger('articles').id('T bbbbb ttttt').trace('other session')
+    logs.setTrace({ reqId: 'bbbbb', level: 'debug' })
+    logs.logger('articles').id('T aaaaa sssss').trace('no longer traced')
+    logs.logger('articles').id('T bbbbb ttttt').trace('too verbose')
+    logs.logger('articles').id('T bbbbb ttttt').debug('traced request')
+    expect(logs.getLevels().trace).to.deep.equal({ reqId: 'bbbbb', level: 'debug' })
+    logs.setTrace(null)
+    logs.logger('articles').id('T bbbbb ttttt').debug('trace stopped')
+    expect(messages()).to.deep.equal([ 'traced session', 'traced request' ])
+  })
+})
@@ -0,0 +1,82 @@
+const { expect } = require('chai')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const metrics = require('../../../server/metrics')
+const { JsonLogStore } = require('../../../server/storage/jsonlog.store')
+const { request } = require('../helpers')
+
+describe('metrics', () => {
+  it('should format counters with escaped labels', () => {
+    let counter = metrics.counter('test_events_total', 'Test events', [ 'kind' ])
+    counter.reset()
+    counter.inc({ kind: 'a "quoted"\nvalue' })
+    counter.inc({ kind: 'plain', ignored: 'label' }, 2)
+    expect(metrics.format()).to.include([
+      '# HELP test_events_total Test events',
+      '# TYPE test_events_total counter',
+      'test_events_total{kind="a \\"quoted\\"\\nvalue"} 1',
+      'test_events_total{kind="plain"} 2',
+    ].join('\n'))
+    expect(metrics.counter('test_events_total')).to.equal(counter)
+    expect(() => metrics.histogram('test_events_total')).to.throw(/already registered as a counter/)
+  })
+
+  it('should format histograms with cumulative buckets', () => {
+    let histogram = metrics.histogram('test_seconds', 'Test latency', [ 'route' ], [ 0.1, 1 ])
+    histogram.reset()
+    histogram.observe({ route: '/a' }, 0.05)
+    histogram.observe({ route: '/a' }, 0.5)
+    histogram.observe({ route: '/a' }, 5)
+    expect(metrics.format()).to.include([
+      'test_seconds_bucket{route="/a",le="0.1"} 1',
+      'test_seconds_bucket{route="/a",le="1"} 2',
+      'test_seconds_bucket{route="/a",le="+Inf"} 3',
+      'test_seconds_sum{route="/a"} 5.55',
+      'test_seconds_count{route="/a"} 3',
+    ].join('\n'))
+  })
+
+  it('should count requests by route pattern and status', () => {
+    let requests = metrics.counter('http_requests_total')
+    let before = requests.get({ method: 'GET', route: '/api/articles/:id', status: 404 })
+    return request('get', '/api/articles/no-such-article')
+      .then(res => {
+        expect(res.status).to.equal(404)
+        expect(requests.get({ method: 'GET', route: '/api/articles/:id', status: 404 })).to.equal(before + 1)
+      })
+  })
+})
+
+describe('health checks', () => {
+  it('should report the version and storage health', () => {
+    return Promise.all([ request('get', '/healthz'), request('get', '/readyz') ])
+      .then(responses => responses.forEach(res => {
+        expect(res.status).to.equal(200)
+        expect(res.data).to.include({ ok: true, signing: true })
+        expect(res.data.version).to.have.property('raw')
+        expect(res.data.storage).to.deep.equal({ type: 'memory', ok: true })
+      }))
+  })
+
+  it('should not count the health checks', () => {
+    let requests = metrics.counter('http_requests_total')
+    return request('get', '/healthz')
+      .then(res => {
+        expect(res.status).to.equal(200)
+        expect(requests.get({ method: 'GET', route: '/healthz', status: 200 })).to.equal(0)
+      })
+  })
+
+  it('should report a jsonlog store that cannot write', () => {
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-'))
+    let store = new JsonLogStore({ path: path.join(dir, 'storage.jsonl') })
+    return store.health()
+      .then(health => {
+        expect(health).to.include({ type: 'jsonlog', ok: true })
+        fs.rmSync(dir, { recursive: true })
+        return store.health()
+      })
+      .then(health => expect(health).to.include({ ok: false, error: 'log not writable' }))
+  })
+})
@@ -0,0 +1,106 @@
+const _ = require('lodash')
+const { expect } = require('chai')
+
+const models = require('../../../server/models')
+const { newAgent } = require('../helpers')
+
+describe('moderation', function () {
+  this.timeout(10000)
+
+  let author, moderator, moderate
+
+  before(() => Promise.all([ newAgent(), newAgent() ])
+    .then(agents => {
+      [ author, moderator ] = agents
+      return moderator.request('post', '/api/members/@me/password', { password: 'correct horse' })
+    })
+    .then(() => models.Member.getByHandle(moderator.handle))
+    .then(member => _.extend(member, { moderator: true }).save())
+    .then(() => moderator.request('post', '/api/moderate', { password: 'correct horse' }))
+    .then(res => {
+      expect(res.data.scope).to.deep.equal([ 'session', 'moderate' ])
+      moderate = res.data.token
+    }))
+
+  /**
+   * Resolves to the response of the author creating an article in topicId over GraphQL
+   */
+  function post (topicId, text) {
+    let query = `mutation { createArticle(topicId: "${topicId}", text: "${text}") { id } }`
+    return author.request('post', '/graphql', { query })
+  }
+
+  /**
+   * Resolves to the ids of the articles listed for anyone
+   */
+  function listed () {
+    return author.request('get', '/api/articles')
+      .then(res => _.map(res.data.data, 'id'))
+  }
+
+  it('should only grant the moderate scope to moderators', () => {
+    return author.request('post', '/api/members/@me/password', { password: 'correct horse' })
+      .then(() => author.request('post', '/api/moderate', { password: 'correct horse' }))
+      .then(res => {
+        expect(res.status).to.equal(401)
+        return moderator.request('post', `/api/moderation/members/${author.handle}/flags`, {})
+      })
+      .then(res => expect(res.status).to.equal(403)) // a moderator needs the moderate scope too
+  })
+
+  it('should hide and restore articles, auditing both', () => {
+    let id
+    let reason = 'spam'
+    return post('learning', 'hide me')
+      .then(res => {
+        id = res.data.data.createArticle.id
+        return moderator.request('post', `/api/moderation/articles/${id}/hide`, { reason }, { token: moderate })
+      })
+      .then(res => {
+        expect(res.status).to.equal(200)
+        expect(res.data).to.include({ id, hidden: true })
+        return listed()
+      })
+      .then(ids => {
+        expect(ids).to.not.include(id)
+        return moderator.request('post', `/api/moderation/articles/${id}/restore`, {}, { token: moderate })
+      })
+      .then(() => listed())
+      .then(ids => {
+        expect(ids).to.include(id)
+        return moderator.request('get', `/api/moderation/audit?target=${id}`, null, { token: moderate })
+      })
+      .then(res => {
+        expect(res.data.data.map(entry => entry.action)).to.deep.equal([ 'article.restore', 'article.hide' ])
+        expect(res.data.data[1]).to.include({ target: id, moderator: moderator.handle, reason })
+      })
+  })
+
+  it('should lock topics against new articles', () => {
+    return moderator.request('post', '/api/moderation/topics/website/lock', {}, { token: moderate })
+      .then(res => {
+        expect(res.data).to.include({ id: 'website', locked: true })
+        return post('website', 'locked?')
+      })
+      .then(res => {
+        expect(res.data.errors[0].message).to.equal('topic is locked')
+        return moderator.request('post', '/api/moderation/topics/website/unlock', {}, { token: moderate })
+      })
+      .then(() => post('website', 'unlocked'))
+      .then(res => expect(res.data.errors).to.equal(undefined))
+  })
+
+  it('should flag members and grant the moderator role', () => {
+    return moderator.request('post', `/api/moderation/members/${author.handle}/flags`, { reason: 'rude' }, { token: moderate })
+      .then(res => {
+        expect(res.data).to.include({ handle: author.handle, moderator: false })
+        expect(res.data.flags[0]).to.include({ reason: 'rude', by: moderator.handle })
+        return moderator.request('put', `/api/moderation/members/${author.handle}/moderator`, { moderator: true }, { token: moderate })
+      })
+      .then(res => {
+        expect(res.data).to.include({ handle: author.handle, moderator: true })
+        return models.Member.getByHandle(author.handle)
+      })
+      .then(member => expect(member.isModerator()).to.equal(true))
+  })
+})
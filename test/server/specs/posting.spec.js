@@ -0,0 +1,120 @@
+const { expect } = require('chai')
+const axios = require('axios')
+const { createPostingLimits } = require('../../../server/posting')
+
+// start the API server on any free port
+process.env.PORT = '0'
+const { appServer } = require('../../../server/server')
+
+const DAY = 24 * 60 * 60 * 1000
+
+/**
+ * Build a fake member first seen age milliseconds ago
+ */
+function member (handle, age, options) {
+  return Object.assign({
+    handle,
+    flags: [],
+    isModerator: () => false,
+    getFirstSeen: () => Promise.resolve((new Date(Date.now() - age)).toISOString()),
+  }, options)
+}
+
+/**
+ * Resolves to the error checkArticle rejects with, or undefined
+ */
+function attempt (limits, author, topic, text, ip) {
+  return limits.checkArticle(author, topic, text, ip).then(() => undefined, err => err)
+}
+
+describe('posting limits', () => {
+  const topic = { id: 'learning' }
+
+  it('should give new and flagged members a smaller burst than established members', () => {
+    let limits = createPostingLimits({ member: { burst: 3, perHour: 1 }, newMember: { burst: 1, perHour: 1 } })
+    let established = member('established', 10 * DAY)
+    let newbie = member('newbie', 0)
+    let flagged = member('flagged', 10 * DAY, { flags: [ { reason: 'spam', by: 'mod' } ] })
+    return Promise.all([ 1, 2, 3, 4 ].map(n => attempt(limits, established, topic, `established ${n}`)))
+      .then(errors => expect(errors.map(err => err && err.status)).to.deep.equal([ undefined, undefined, undefined, 429 ]))
+      .then(() => attempt(limits, newbie, topic, 'newbie 1'))
+      .then(err => {
+        expect(err).to.be.undefined
+        return attempt(limits, newbie, topic, 'newbie 2')
+      })
+      .then(err => {
+        expect(err).to.be.an('error')
+        expect(err.status).to.equal(429)
+        expect(err.code).to.equal('rate_limited')
+        expect(parseInt(err.headers['Retry-After'])).to.be.within(3590, 3600) // one token per hour
+        return attempt(limits, flagged, topic, 'flagged 1')
+      })
+      .then(() => attempt(limits, flagged, topic, 'flagged 2'))
+      .then(err => expect(err).to.have.property('status', 429))
+  })
+
+  it('should only count flags raised by moderators', () => {
+    let limits = createPostingLimits({ member: { burst: 3, perHour: 1 }, newMember: { burst: 1, perHour: 1 } })
+    let suspected = member('suspected', 10 * DAY, { flags: [ { reason: 'refresh token reused', by: 'system' } ] })
+    return attempt(limits, suspected, topic, 'suspected 1')
+      .then(() => attempt(limits, suspected, topic, 'suspected 2'))
+      .then(err => expect(err).to.be.undefined)
+  })
+
+  it('should limit each client network across trackers and apply topic limits', () => {
+    let limits = createPostingLimits({ network: { burst: 2, perHour: 1 } })
+    let politics = { id: 'politics', limits: { network: { burst: 1, perHour: 1 } } }
+    return attempt(limits, member('a', 0), topic, 'one', '10.0.0.1')
+      .then(() => attempt(limits, member('b', 0), topic, 'two', '10.0.0.2'))
+      .then(() => attempt(limits, member('c', 0), topic, 'three', '10.0.0.3'))
+      .then(err => {
+        expect(err).to.be.an('error')
+        expect(err.status).to.equal(429)
+        expect(err.code).to.equal('rate_limited')
+        return attempt(limits, member('d', 0), topic, 'four', '10.0.1.1') // another network
+      })
+      .then(err => {
+        expect(err).to.be.undefined
+        return attempt(limits, member('e', 0), politics, 'five', '10.0.2.1')
+      })
+      .then(() => attempt(limits, member('f', 0), politics, 'six', '10.0.2.2'))
+      .then(err => expect(err).to.have.property('status', 429))
+  })
+
+  it('should refuse the same text from the same member or network within the window', () => {
+    let limits = createPostingLimits({ duplicateWindow: 60 * 1000 })
+    return attempt(limits, member('a', 10 * DAY), topic, 'Buy   NOW', '10.0.0.1')
+      .then(() => attempt(limits, member('a', 10 * DAY), topic, 'buy now', '10.9.0.1'))
+      .then(err => {
+        expect(err).to.be.an('error')
+        expect(err.status).to.equal(429)
+        expect(err.code).to.equal('duplicate_article')
+        expect(parseInt(err.headers['Retry-After'])).to.be.within(59, 60)
+        return attempt(limits, member('b', 10 * DAY), topic, 'buy now', '10.0.0.2') // another tracker, same network
+      })
+      .then(err => {
+        expect(err).to.be.an('error')
+        expect(err.code).to.equal('duplicate_article')
+        return attempt(limits, member('c', 10 * DAY), topic, 'buy now', '10.8.0.1')
+      })
+      .then(err => expect(err).to.be.undefined)
+  })
+
+  it('should respond 429 with Retry-After when a new member posts too fast', () => {
+    let url = `http://localhost:${appServer.address().port}`
+    let post = (token, text) => axios.post(`${url}/api/articles`, { topicId: 'website', text }, {
+      headers: { authorization: `Bearer ${token}` },
+      validateStatus: () => true,
+    })
+    return axios.post(`${url}/api/tokens`)
+      .then(res => {
+        let token = res.data.sessionToken
+        return post(token, 'first').then(() => post(token, 'second')).then(() => post(token, 'third'))
+      })
+      .then(res => {
+        expect(res.status).to.equal(429)
+        expect(res.data).to.include({ status: 429, code: 'rate_limited' })
+        expect(parseInt(res.headers['retry-after'])).to.be.above(0)
+      })
+  })
+})
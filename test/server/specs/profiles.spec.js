@@ -0,0 +1,88 @@
+const _ = require('lodash')
+const { expect } = require('chai')
+const sinon = require('sinon')
+
+const models = require('../../../server/models')
+const { newAgent } = require('../helpers')
+
+describe('profiles', function () {
+  this.timeout(10000)
+
+  let member, viewer
+
+  beforeEach(() => Promise.all([ newAgent(), newAgent() ])
+    .then(agents => { [ member, viewer ] = agents }))
+
+  /**
+   * Resolves to the profile of handle as seen by viewer, or with token
+   */
+  function profile (handle, token) {
+    return viewer.request('get', `/api/members/${handle}`, null, { token })
+      .then(res => {
+        expect(res.status).to.equal(200)
+        return res.data
+      })
+  }
+
+  it('should show a curated profile without trackers', () => {
+    return Promise.all([ profile(member.handle), member.request('get', '/api/members/@me') ])
+      .then(([ result, me ]) => {
+        expect(result).to.have.all.keys([ 'handle', 'moderator', 'retiredAt', 'firstSeen', 'lastSeen', 'articleCounts',
+          'activity', 'links', 'claims', 'suspectedLinks' ])
+        expect(result).to.include({ handle: member.handle, moderator: false, retiredAt: null })
+        expect(result.articleCounts).to.deep.equal({ total: 0, byTopic: {} })
+        expect(result.activity).to.deep.equal(_.fill(Array(24), 0))
+        expect(JSON.stringify(result)).to.not.include(member.tracker)
+        expect(me.data.handle).to.equal(member.handle)
+        return viewer.request('get', '/api/members/nobody')
+      })
+      .then(res => expect(res.status).to.equal(404))
+  })
+
+  it('should keep the article statistics up to date', () => {
+    let article
+    return profile(member.handle) // computes and caches the statistics
+      .then(() => member.request('post', '/api/articles', { topicId: 'learning', text: 'count me' }))
+      .then(res => {
+        article = res.data
+        sinon.spy(models.Article, 'findByAuthor')
+        return profile(member.handle)
+      })
+      .then(result => {
+        let recomputed = models.Article.findByAuthor.called
+        models.Article.findByAuthor.restore()
+        expect(recomputed).to.equal(false) // added to the cached statistics
+        let activity = _.fill(Array(24), 0)
+        activity[(new Date(article.createdAt)).getUTCHours()] = 1
+        expect(result.articleCounts).to.deep.equal({ total: 1, byTopic: { learning: 1 } })
+        expect(result.activity).to.deep.equal(activity)
+        expect(result.lastSeen >= article.createdAt).to.equal(true)
+        return member.request('delete', `/api/articles/${article.id}`, {})
+      })
+      .then(() => profile(member.handle))
+      .then(result => expect(result.articleCounts).to.deep.equal({ total: 0, byTopic: {} }))
+  })
+
+  it('should only show the link to an abandoned identity to moderators', () => {
+    let successor, moderate
+    return member.request('post', '/api/members/@me/abandon', {})
+      .then(res => {
+        successor = res.data
+        return viewer.request('post', '/api/members/@me/password', { password: 'correct horse' })
+      })
+      .then(() => models.Member.getByHandle(viewer.handle))
+      .then(moderator => _.extend(moderator, { moderator: true }).save())
+      .then(() => viewer.request('post', '/api/moderate', { password: 'correct horse' }))
+      .then(res => {
+        moderate = res.data.token
+        return Promise.all([ profile(member.handle), profile(member.handle, moderate), profile(successor.handle, moderate) ])
+      })
+      .then(([ anyone, moderated, succeeded ]) => {
+        expect(anyone.retiredAt).to.be.a('string')
+        expect(anyone.links).to.deep.equal([])
+        expect(moderated.links).to.have.length(1)
+        expect(moderated.links[0]).to.include({ relation: 'successor', handle: successor.handle, reason: 'abandoned', hidden: true })
+        expect(succeeded.links[0]).to.include({ relation: 'predecessor', handle: member.handle, hidden: true })
+      })
+  })
+})
@@ -0,0 +1,102 @@
+const { expect } = require('chai')
+const jsonWebToken = require('jsonwebtoken')
+
+const models = require('../../../server/models')
+const { request, Agent, newAgent } = require('../helpers')
+
+describe('revocation', () => {
+  it('should replace a revoked tracker with a new member linked to the old one', () => {
+    let agent, revocation
+    return newAgent()
+      .then(result => {
+        agent = result
+        return models.Member.revokeTracker(agent.tracker, 'stolen laptop', 'moderator')
+      })
+      .then(result => {
+        revocation = result
+        expect(revocation).to.include({ tracker: agent.tracker, handle: agent.handle, reason: 'stolen laptop', revokedBy: 'moderator' })
+        return agent.request('get', '/api/refresh')
+      })
+      .then(res => {
+        expect(res.data.tracker).to.not.equal(agent.tracker)
+        expect(res.data.handle).to.not.equal(agent.handle)
+        expect(res.data.previous).to.deep.equal({
+          status: 'revoked', tracker: agent.tracker, reason: 'stolen laptop', revokedAt: revocation.revokedAt,
+        })
+        return Promise.all([ models.Member.getByHandle(agent.handle), models.Member.getByHandle(res.data.handle) ])
+      })
+      .then(([ old, successor ]) => {
+        expect(old.links).to.have.length(1)
+        expect(old.links[0]).to.include({ relation: 'successor', handle: successor.handle, reason: 'revoked', hidden: false })
+        expect(successor.links[0]).to.include({ relation: 'predecessor', handle: old.handle, reason: 'revoked' })
+        return agent.request('get', '/api/refresh')
+      })
+      .then(res => expect(res.data).to.not.have.property('previous')) // the replacement cookies stick
+  })
+
+  it('should tell an expired refresh cookie from a revoked one', () => {
+    let agent
+    return newAgent()
+      .then(result => {
+        agent = result
+        let expired = jsonWebToken.sign({ sub: agent.tracker, scope: 'refresh', exp: Math.floor(Date.now() / 1000) - 60 },
+          'keyboard-cat', { keyid: 'env' })
+        return new Agent(undefined, [ `refresh.jwt=${expired}` ]).request('get', '/api/refresh')
+      })
+      .then(res => {
+        expect(res.data.tracker).to.not.equal(agent.tracker)
+        expect(res.data.previous).to.deep.equal({ tracker: agent.tracker, status: 'expired' })
+      })
+  })
+
+  it('should keep a tracker revoked when the claim on it is rejected', () => {
+    let claimer, claimed, claimId
+    return Promise.all([ newAgent(), newAgent() ])
+      .then(agents => {
+        [ claimer, claimed ] = agents
+        return claimer.request('post', '/api/members/@me/link-codes', {})
+      })
+      .then(res => claimed.request('post', '/api/members/@me/claims', { code: res.data.code }))
+      .then(res => {
+        expect(res.status).to.equal(201)
+        claimId = res.data.id
+        return claimer.request('delete', `/api/members/@me/sessions/${claimed.tracker}`, {})
+      })
+      .then(res => {
+        expect(res.status).to.equal(200)
+        return claimer.request('delete', `/api/members/@me/claims/${claimId}`, {})
+      })
+      .then(res => {
+        expect(res.data.status).to.equal('rejected')
+        return models.Member.findByTracker(claimed.tracker)
+      })
+      .then(member => {
+        expect(member).to.equal(undefined)
+        return claimed.request('get', '/api/refresh')
+      })
+      .then(res => {
+        expect(res.data.tracker).to.not.equal(claimed.tracker)
+        expect(res.data.previous).to.include({ status: 'revoked', tracker: claimed.tracker })
+      })
+  })
+
+  it('should refuse a revoked tracker\'s header session token without minting a successor', () => {
+    let tokens
+    let bearer = () => request('get', '/api/refresh', { token: tokens.sessionToken })
+    return request('post', '/api/tokens')
+      .then(res => {
+        tokens = res.data
+        return models.Member.revokeTracker(tokens.tracker, 'test', 'system')
+      })
+      .then(() => Promise.all([ bearer(), bearer() ]))
+      .then(responses => {
+        responses.forEach(res => {
+          expect(res.status).to.equal(401)
+          expect(res.data).to.include({ code: 'credentials_revoked' })
+          expect(res.headers).to.not.have.property('set-cookie')
+        })
+        return models.Member.getByHandle(tokens.handle)
+      })
+      .then(member => expect(member.links).to.deep.equal([]))
+  })
+})
@@ -0,0 +1,88 @@
+const { expect } = require('chai')
+const jsonWebToken = require('jsonwebtoken')
+
+const { store } = require('../../../server/storage')
+const { newAgent } = require('../helpers')
+
+describe('sensitive', function () {
+  this.timeout(10000)
+
+  let member
+
+  beforeEach(() => newAgent()
+    .then(agent => { member = agent }))
+
+  /**
+   * Resolves to the response of granting the sensitive scope to member with password
+   */
+  function grant (password) {
+    return member.request('post', '/api/sensitive', { password })
+  }
+
+  it('should keep a salted hash of the password apart from the member', () => {
+    return member.request('post', '/api/members/@me/password', { password: 'correct horse' })
+      .then(res => {
+        expect(res.status).to.equal(201)
+        expect(res.data).to.deep.equal({ handle: member.handle, password: true })
+        return Promise.all([ store.get('credentials', member.handle), store.get('members', member.handle) ])
+      })
+      .then(([ credentials, record ]) => {
+        expect(credentials).to.include.keys([ 'algorithm', 'iterations', 'salt', 'hash', 'changedAt' ])
+        expect(JSON.stringify(credentials)).to.not.include('correct horse')
+        expect(JSON.stringify(record)).to.not.include(credentials.hash)
+      })
+  })
+
+  it('should grant a short life sensitive session token for the password only', () => {
+    return grant('correct horse')
+      .then(res => {
+        expect(res.status).to.equal(401) // no password yet
+        return member.request('post', '/api/members/@me/password', { password: 'correct horse' })
+      })
+      .then(() => grant('wrong horse'))
+      .then(res => {
+        expect(res.status).to.equal(401)
+        return grant('correct horse')
+      })
+      .then(res => {
+        expect(res.status).to.equal(200)
+        expect(res.data.scope).to.deep.equal([ 'session', 'sensitive' ])
+        let decoded = jsonWebToken.decode(res.data.token)
+        expect(decoded).to.include({ sub: member.tracker })
+        expect(decoded.exp - decoded.iat).to.be.at.most(2 * 60)
+      })
+  })
+
+  it('should only change the password with the sensitive scope', () => {
+    let data = { password: 'battery staple' }
+    return member.request('post', '/api/members/@me/password', { password: 'correct horse' })
+      .then(() => member.request('put', '/api/members/@me/password', data))
+      .then(res => {
+        expect(res.status).to.equal(403)
+        return grant('correct horse')
+      })
+      .then(res => member.request('put', '/api/members/@me/password', data, { token: res.data.token }))
+      .then(res => {
+        expect(res.status).to.equal(200)
+        return Promise.all([ grant('correct horse'), grant('battery staple') ])
+      })
+      .then(([ old, changed ]) => {
+        expect(old.status).to.equal(401)
+        expect(changed.status).to.equal(200)
+      })
+  })
+
+  it('should rate limit failed grants per member', () => {
+    let attempts = [ 1, 2, 3, 4, 5 ]
+    return member.request('post', '/api/members/@me/password', { password: 'correct horse' })
+      .then(() => attempts.reduce(previous => previous.then(() => grant('wrong horse')), Promise.resolve()))
+      .then(res => {
+        expect(res.status).to.equal(401)
+        return grant('correct horse')
+      })
+      .then(res => {
+        expect(res.status).to.equal(429)
+        expect(Number(res.headers['retry-after'])).to.be.above(0)
+      })
+  })
+})
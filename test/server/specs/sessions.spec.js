@@ -0,0 +1,120 @@
+const _ = require('lodash')
+const { expect } = require('chai')
+const models = require('../../../server/models')
+const { newAgent } = require('../helpers')
+
+/**
+ * Resolves when agent redeemed a new link code of member, another user agent, so both belong to member
+ */
+function claim (member, agent) {
+  return member.request('post', '/api/members/@me/link-codes', {})
+    .then(res => agent.request('post', '/api/members/@me/claims', { code: res.data.code }))
+    .then(res => expect(res.status).to.equal(201))
+}
+
+describe('sessions', () => {
+  describe('abandon', () => {
+    let agent
+
+    beforeEach(() => newAgent()
+      .then(result => { agent = result }))
+
+    it('should retire the member and start over with new cookies', () => {
+      let jar, article, successor
+      return agent.request('post', '/api/articles', { topicId: 'learning', text: 'before I go' })
+        .then(res => {
+          article = res.data
+          jar = agent.jar
+          return agent.request('post', '/api/members/@me/abandon', {})
+        })
+        .then(res => {
+          expect(res.status).to.equal(200)
+          successor = res.data
+          expect(res.data.previous).to.deep.equal({ tracker: agent.tracker, status: 'abandoned' })
+          expect(res.data.tracker).to.not.equal(agent.tracker)
+          expect(res.data.handle).to.not.equal(agent.handle)
+          expect(_.intersection(agent.jar, jar)).to.deep.equal([]) // both cookies replaced
+          return Promise.all([
+            agent.request('get', '/api/refresh'),
+            models.Member.getByHandle(agent.handle),
+            agent.request('get', `/api/articles/${article.id}`),
+          ])
+        })
+        .then(([ refreshed, abandoned, kept ]) => {
+          expect(refreshed.data).to.not.have.property('previous')
+          expect(refreshed.data).to.include({ tracker: successor.tracker, handle: successor.handle })
+          expect(abandoned.retiredAt).to.be.a('string')
+          expect(abandoned.links[0]).to.include({ relation: 'successor', handle: successor.handle, reason: 'abandoned', hidden: true })
+          expect(kept.data.author).to.deep.equal({ handle: agent.handle })
+        })
+    })
+
+    it('should revoke the other user agents of the member, linking them hidden', () => {
+      let device
+      return newAgent()
+        .then(result => {
+          device = result
+          return claim(agent, device)
+        })
+        .then(() => agent.request('post', '/api/members/@me/abandon', {}))
+        .then(() => device.request('get', '/api/refresh'))
+        .then(res => {
+          expect(res.data.tracker).to.not.equal(device.tracker)
+          expect(res.data.previous).to.include({ tracker: device.tracker, status: 'revoked', reason: 'abandoned' })
+          return models.Member.getByHandle(res.data.handle)
+        })
+        .then(member => expect(member.links[0]).to.include({ relation: 'predecessor', handle: agent.handle, reason: 'revoked', hidden: true }))
+    })
+  })
+
+  describe('devices', () => {
+    const FIREFOX_ANDROID = 'Mozilla/5.0 (Android 7.0; Mobile; rv:52.0) Gecko/52.0 Firefox/52.0'
+    const CHROME_WINDOWS = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/58.0.3029.110 Safari/537.36'
+
+    let phone, laptop
+
+    beforeEach(() => Promise.all([ newAgent(FIREFOX_ANDROID), newAgent(CHROME_WINDOWS) ])
+      .then(agents => {
+        [ phone, laptop ] = agents
+        return claim(phone, laptop)
+      }))
+
+    it('should list the member\'s sessions, current first', () => {
+      return phone.request('get', '/api/members/@me/sessions')
+        .then(res => {
+          expect(res.status).to.equal(200)
+          expect(_.map(res.data, 'id')).to.deep.equal([ phone.tracker, laptop.tracker ])
+          expect(res.data[0]).to.have.all.keys([ 'id', 'current', 'firstSeen', 'lastSeen', 'userAgent', 'region' ])
+          expect(res.data[0]).to.include({ current: true, userAgent: 'Firefox 52 on Android', region: '127.0.0.0/24' })
+          expect(res.data[1]).to.include({ current: false, userAgent: 'Chrome 58 on Windows' })
+          expect(Date.parse(res.data[1].lastSeen)).to.be.at.least(Date.parse(res.data[1].firstSeen))
+        })
+    })
+
+    it('should revoke other sessions, which start over on their next refresh', () => {
+      return phone.request('delete', `/api/members/@me/sessions/${laptop.tracker}`, {})
+        .then(res => {
+          expect(res.status).to.equal(200)
+          expect(res.data).to.include({ id: laptop.tracker, current: false })
+          expect(res.data.revokedAt).to.be.a('string')
+          return Promise.all([ laptop.request('get', '/api/refresh'), phone.request('get', '/api/members/@me/sessions') ])
+        })
+        .then(([ refreshed, sessions ]) => {
+          expect(refreshed.data.tracker).to.not.equal(laptop.tracker)
+          expect(refreshed.data.previous).to.include({ tracker: laptop.tracker, status: 'revoked', reason: 'revoked by member' })
+          expect(_.map(sessions.data, 'id')).to.deep.equal([ phone.tracker ])
+        })
+    })
+
+    it('should refuse to revoke the current or unknown sessions', () => {
+      return Promise.all([
+        phone.request('delete', `/api/members/@me/sessions/${phone.tracker}`, {}),
+        phone.request('delete', '/api/members/@me/sessions/nobody', {}),
+      ])
+        .then(([ current, unknown ]) => {
+          expect(current.status).to.equal(400)
+          expect(unknown.status).to.equal(404)
+        })
+    })
+  })
+})
@@ -0,0 +1,135 @@
+const { expect } = require('chai')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { createStore } = require('../../../server/storage')
+const { JsonLogStore } = require('../../../server/storage/jsonlog.store')
+const { MemoryStore } = require('../../../server/storage/memory.store')
+
+/**
+ * Returns a log file name in a new temporary directory, written with lines if given
+ */
+function logFile (lines) {
+  let file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'storage-')), 'storage.jsonl')
+  if (lines) {
+    fs.writeFileSync(file, lines.map(line => line + '\n').join(''))
+  }
+  return file
+}
+
+describe('storage', () => {
+  describe('memory', () => {
+    it('should copy records in and out', () => {
+      let store = new MemoryStore()
+      let record = { handle: 'abc', trackers: [ 'x' ] }
+      return store.put('members', 'abc', record)
+        .then(() => {
+          record.trackers.push('y')
+          return store.get('members', 'abc')
+        })
+        .then(stored => {
+          expect(stored.trackers).to.deep.equal([ 'x' ])
+          stored.trackers.push('z')
+          return store.get('members', 'abc')
+        })
+        .then(stored => expect(stored.trackers).to.deep.equal([ 'x' ]))
+    })
+
+    it('should find records in insertion order, optionally filtered', () => {
+      let store = new MemoryStore()
+      return Promise.all([ 3, 1, 2 ].map(n => store.put('numbers', `n${n}`, { n })))
+        .then(() => store.remove('numbers', 'n1'))
+        .then(() => Promise.all([ store.find('numbers'), store.find('numbers', record => record.n > 2), store.get('numbers', 'n1') ]))
+        .then(([ all, big, removed ]) => {
+          expect(all).to.deep.equal([ { n: 3 }, { n: 2 } ])
+          expect(big).to.deep.equal([ { n: 3 } ])
+          expect(removed).to.equal(undefined)
+        })
+    })
+
+    it('should refuse unknown adapters', () => {
+      expect(() => createStore({ type: 'sqlite' })).to.throw('unknown STORAGE adapter sqlite')
+    })
+  })
+
+  describe('jsonlog', () => {
+    it('should replay the log after a restart, skipping partial writes', () => {
+      let file = logFile()
+      let store = new JsonLogStore({ path: file })
+      return store.put('members', 'abc', { handle: 'abc' })
+        .then(() => store.put('members', 'def', { handle: 'def' }))
+        .then(() => store.remove('members', 'abc'))
+        .then(() => {
+          fs.appendFileSync(file, '{"op":"put","c":"members","k":"gh') // killed mid write
+          let restarted = new JsonLogStore({ path: file })
+          return restarted.find('members')
+        })
+        .then(members => {
+          expect(members).to.deep.equal([ { handle: 'def' } ])
+          fs.rmSync(path.dirname(file), { recursive: true })
+        })
+    })
+
+    it('should compact the log to the current records on startup', () => {
+      let file = logFile([
+        '{"op":"put","c":"members","k":"abc","v":{"handle":"abc"}}',
+        '{"op":"put","c":"members","k":"abc","v":{"handle":"abc","retiredAt":"2017-01-01T00:00:00.000Z"}}',
+        '{"op":"put","c":"members","k":"def","v":{"handle":"def"}}',
+        '{"op":"remove","c":"members","k":"def"}',
+      ])
+      let store = new JsonLogStore({ path: file })
+      return store.get('members', 'abc')
+        .then(member => {
+          expect(member).to.have.property('retiredAt')
+          expect(fs.readFileSync(file, 'utf8')).to.equal(
+            '{"op":"put","c":"members","k":"abc","v":{"handle":"abc","retiredAt":"2017-01-01T00:00:00.000Z"}}\n')
+          expect(fs.existsSync(`${file}.tmp`)).to.equal(false)
+          fs.rmSync(path.dirname(file), { recursive: true })
+        })
+    })
+
+    it('should leave the log as is unless compacting', () => {
+      const lines = [
+        '{"op":"put","c":"keys","k":"a","v":{"kid":"a"}}',
+        '{"op":"put","c":"keys","k":"a","v":{"kid":"a","retiredAt":"2017-01-01T00:00:00.000Z"}}',
+      ]
+      let file = logFile(lines)
+      let store = new JsonLogStore({ path: file, compact: false })
+      return store.get('keys', 'a')
+        .then(key => {
+          expect(key).to.have.property('retiredAt')
+          expect(fs.readFileSync(file, 'utf8')).to.equal(lines.map(line => line + '\n').join(''))
+          return store.put('keys', 'b', { kid: 'b' })
+        })
+        .then(() => {
+          expect(fs.readFileSync(file, 'utf8').split('\n')).to.have.length(lines.length + 2)
+          fs.rmSync(path.dirname(file), { recursive: true })
+        })
+    })
+
+    it('should log records as they were when put', () => {
+      let file = logFile()
+      let store = new JsonLogStore({ path: file })
+      let record = { handle: 'abc', flags: [] }
+      let put = store.put('members', 'abc', record)
+      record.flags.push({ reason: 'later' }) // e.g. the caller carries on changing it
+      return put
+        .then(() => new JsonLogStore({ path: file, compact: false }).get('members', 'abc'))
+        .then(member => {
+          expect(member).to.deep.equal({ handle: 'abc', flags: [] })
+          fs.rmSync(path.dirname(file), { recursive: true })
+        })
+    })
+
+    it('should create missing parent directories of the log', () => {
+      let file = logFile()
+      let nested = path.join(path.dirname(file), 'data', 'logs', 'storage.jsonl')
+      let store = new JsonLogStore({ path: nested })
+      return store.put('members', 'abc', { handle: 'abc' })
+        .then(() => {
+          expect(fs.existsSync(nested)).to.equal(true)
+          fs.rmSync(path.dirname(file), { recursive: true })
+        })
+    })
+  })
+})
@@ -0,0 +1,157 @@
+const _ = require('lodash')
+const { expect } = require('chai')
+const http = require('http')
+const jsonWebToken = require('jsonwebtoken')
+const WebSocket = require('ws')
+const { SubscriptionClient } = require('subscriptions-transport-ws')
+const { Keyring } = require('../../../server/keyring')
+const { schema } = require('../../../server/schema')
+const subscriptions = require('../../../server/subscriptions')
+
+const ISS = 'http://localhost'
+const query = 'subscription onArticleAdded($topicId: String, $threadId: String) { articleAdded(topicId: $topicId, threadId: $threadId) { id } }'
+const valid = jsonWebToken.sign({ sub: 'abc', scope: 'session', iss: ISS }, 'shh', { keyid: 'env' })
+
+/**
+ * Resolves after milliseconds
+ */
+function wait (milliseconds) {
+  return new Promise(resolve => setTimeout(resolve, milliseconds))
+}
+
+describe('subscriptions', () => {
+  let server, client
+  let failures = []
+
+  before(done => {
+    server = http.createServer()
+    subscriptions.createSubscriptionServer({
+      server,
+      path: '/subscriptions',
+      schema,
+      iss: ISS,
+      keyring: new Keyring({ secret: 'shh', load: false }),
+      onVerifyFailure: (req, err) => failures.push({ req, err }),
+      subscribeSub: (wsReq, sub) => Promise.resolve(sub === 'revoked' ? null : { member: { handle: sub } }),
+    })
+    server.listen(0, () => {
+      client = new SubscriptionClient(`ws://localhost:${server.address().port}/subscriptions`, {}, WebSocket)
+      done()
+    })
+  })
+
+  after(done => {
+    client.close()
+    server.close(() => done())
+  })
+
+  beforeEach(() => { failures = [] })
+
+  /**
+   * Resolves to the subscription errors for a subscribe with sessionToken, or undefined once it is accepted
+   */
+  function subscribe (sessionToken) {
+    return new Promise(resolve => {
+      // accepted subscriptions only call back on articles, so give the server a moment to refuse
+      let timer = setTimeout(() => {
+        client.unsubscribe(id)
+        resolve()
+      }, 200)
+      let id = client.subscribe({ query, variables: { sessionToken } }, errors => {
+        clearTimeout(timer)
+        resolve(errors)
+      })
+    })
+  }
+
+  it('should report forged session tokens as verify failures of the client', () => {
+    let forged = jsonWebToken.sign({ sub: 'abc', scope: 'session', iss: ISS }, 'guess', { keyid: 'env' })
+    return subscribe(forged)
+      .then(errors => {
+        expect(errors).to.have.length(1)
+        expect(failures).to.have.length(1)
+        expect(failures[0].err.message).to.equal('invalid signature')
+        expect(failures[0].req.ip).to.match(/127\.0\.0\.1$|::1$/)
+      })
+  })
+
+  it('should not report expired or stale session tokens', () => {
+    let expired = jsonWebToken.sign({ sub: 'abc', scope: 'session', iss: ISS, exp: Math.floor(Date.now() / 1000) - 60 }, 'shh', { keyid: 'env' })
+    let stale = jsonWebToken.sign({ sub: 'abc', scope: 'session', iss: ISS }, 'retired', { keyid: 'retired' })
+    return Promise.all([ subscribe(expired), subscribe(stale) ])
+      .then(results => {
+        results.forEach(errors => expect(errors).to.have.length(1))
+        expect(failures).to.deep.equal([])
+      })
+  })
+
+  it('should accept valid session tokens', () => {
+    return subscribe(valid)
+      .then(errors => expect(errors).to.equal(undefined))
+  })
+
+  it('should refuse session tokens of revoked trackers', () => {
+    let revoked = jsonWebToken.sign({ sub: 'revoked', scope: 'session', iss: ISS }, 'shh', { keyid: 'env' })
+    return subscribe(revoked)
+      .then(errors => expect(errors[0].message).to.equal('credentials revoked'))
+  })
+
+  describe('articleAdded', () => {
+    /**
+     * Resolves to { received, stop } once subscribed with variables. received collects the ids of pushed articles
+     */
+    function listen (variables) {
+      let received = []
+      let id = client.subscribe({ query, variables: _.extend({ sessionToken: valid }, variables) }, (errors, result) => {
+        received.push(errors || result.articleAdded.id)
+      })
+      return wait(100).then(() => ({ received, stop: () => client.unsubscribe(id) }))
+    }
+
+    /**
+     * Publish articles like Article.insert does, resolving once they were pushed
+     */
+    function publish (articles) {
+      articles.forEach(article => subscriptions.pubsub.publish('articleAdded', article))
+      return wait(100)
+    }
+
+    it('should push new articles of the subscribed topic', () => {
+      return Promise.all([ listen({}), listen({ topicId: 'flame' }) ])
+        .then(listeners => publish([
+          { id: 'a1', topic: { id: 'learning' }, text: 'hi', rootId: null },
+          { id: 'a2', topic: { id: 'flame' }, text: 'hi', rootId: null },
+        ]).then(() => listeners))
+        .then(([ all, flame ]) => {
+          expect(all.received).to.deep.equal([ 'a1', 'a2' ])
+          expect(flame.received).to.deep.equal([ 'a2' ])
+          all.stop()
+          flame.stop()
+        })
+    })
+
+    it('should push the replies of the subscribed thread', () => {
+      return listen({ threadId: 'root' })
+        .then(thread => publish([
+          { id: 'root', topic: { id: 'flame' }, text: 'hi', rootId: null },
+          { id: 'reply', topic: { id: 'flame' }, text: 'hi', parentId: 'root', rootId: 'root' },
+          { id: 'other', topic: { id: 'flame' }, text: 'hi', parentId: 'a2', rootId: 'a2' },
+        ]).then(() => thread))
+        .then(thread => {
+          expect(thread.received).to.deep.equal([ 'root', 'reply' ])
+          thread.stop()
+        })
+    })
+
+    it('should stop pushing once unsubscribed', () => {
+      return listen({})
+        .then(listener => {
+          listener.stop()
+          return wait(100) // for the server to hear of it
+            .then(() => publish([ { id: 'late', topic: { id: 'flame' }, text: 'hi', rootId: null } ]))
+            .then(() => listener)
+        })
+        .then(listener => expect(listener.received).to.deep.equal([]))
+    })
+  })
+})
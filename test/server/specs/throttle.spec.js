@@ -0,0 +1,109 @@
+const { expect } = require('chai')
+const axios = require('axios')
+const jsonWebToken = require('jsonwebtoken')
+const { createThrottle } = require('../../../server/throttle')
+
+// start the API server on any free port
+process.env.PORT = '0'
+const { app, appServer } = require('../../../server/server')
+
+/**
+ * Build a fake express request and response from ip
+ */
+function request (ip) {
+  let req = { ip, headers: {} }
+  req.res = { headers: {}, set (name, value) { this.headers[name] = value } }
+  return req
+}
+
+/**
+ * Refresh the session on the API server with a refresh cookie, without throwing on error status
+ */
+function refresh (refreshJwt) {
+  return axios.request({
+    method: 'get',
+    url: `http://localhost:${appServer.address().port}/api/refresh`,
+    headers: { cookie: `refresh.jwt=${refreshJwt}` },
+    validateStatus: () => true,
+  })
+}
+
+/**
+ * Resolves to the error the throttle route passes to next, or undefined
+ */
+function route (throttle, req) {
+  return new Promise(resolve => throttle.route()(req, req.res, resolve))
+}
+
+describe('throttle', () => {
+  it('should limit new trackers per network', () => {
+    let throttle = createThrottle({ newTrackerLimit: 2 })
+    return throttle.checkNewTracker(request('10.0.0.1'))
+      .then(() => throttle.checkNewTracker(request('10.0.0.2')))
+      .then(() => throttle.checkNewTracker(request('10.0.0.3')))
+      .then(() => { throw new Error('expected 429') }, err => {
+        expect(err.status).to.equal(429)
+      })
+      .then(() => throttle.checkNewTracker(request('10.0.1.1'))) // another network
+  })
+
+  it('should block a network after a signature failure', () => {
+    let throttle = createThrottle({ penaltyBase: 60 * 1000 })
+    let req = request('10.0.0.1')
+    return throttle.recordSignatureFailure(req, new Error('invalid signature'))
+      .then(() => route(throttle, req))
+      .then(err => {
+        expect(err.status).to.equal(429)
+        expect(req.res.headers['Retry-After']).to.equal(60)
+        return route(throttle, request('10.0.1.1'))
+      })
+      .then(err => expect(err).to.equal(undefined))
+  })
+
+  it('should escalate the penalty with each failure', () => {
+    let throttle = createThrottle({ penaltyBase: 60 * 1000, penaltyMax: 150 * 1000 })
+    let req = request('10.0.0.1')
+    return throttle.recordSignatureFailure(req)
+      .then(() => throttle.recordSignatureFailure(req))
+      .then(() => route(throttle, req))
+      .then(() => {
+        expect(req.res.headers['Retry-After']).to.equal(120)
+        return throttle.recordSignatureFailure(req)
+      })
+      .then(() => route(throttle, req))
+      .then(() => expect(req.res.headers['Retry-After']).to.equal(150))
+  })
+
+  describe('session', () => {
+    it('should only believe X-Forwarded-For from our own proxies', () => {
+      let trusted = app.get('trust proxy fn')
+      expect(trusted('127.0.0.1', 0)).to.equal(true)
+      expect(trusted('203.0.113.7', 0)).to.equal(false) // anyone else could pick their network
+    })
+
+    it('should replace a stale refresh cookie without blocking the network', () => {
+      // e.g. signed with a key retired since, or by another deployment
+      let stale = jsonWebToken.sign({ sub: 'stale', scope: 'refresh' }, 'retired secret', { keyid: 'retired' })
+      return refresh(stale)
+        .then(res => {
+          expect(res.status).to.equal(200)
+          expect(res.data.previous).to.deep.equal({ status: 'invalid' })
+          expect(res.data.tracker).to.not.equal('stale')
+          expect(res.headers['set-cookie'].join()).to.match(/refresh\.jwt=ey/)
+          return refresh('malformed')
+        })
+        .then(res => expect(res.status).to.equal(200))
+    })
+
+    it('should block the network and clear the cookies of a forged refresh cookie', () => {
+      let forged = jsonWebToken.sign({ sub: 'forged', scope: 'refresh' }, 'guess', { keyid: 'env' })
+      return refresh(forged)
+        .then(res => {
+          expect(res.status).to.equal(401)
+          expect(res.headers['set-cookie'].join()).to.match(/refresh\.jwt=;.*session\.jwt=;/)
+          return refresh(forged)
+        })
+        .then(res => expect(res.status).to.equal(429))
+    })
+  })
+})
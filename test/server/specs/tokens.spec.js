@@ -0,0 +1,194 @@
+const { expect } = require('chai')
+const jsonWebToken = require('jsonwebtoken')
+
+const models = require('../../../server/models')
+const { appServer, request } = require('../helpers')
+
+/**
+ * Returns the name=value pairs of a response's set-cookie headers
+ */
+function cookies (res) {
+  return (res.headers['set-cookie'] || []).map(cookie => cookie.split(';')[0])
+}
+
+/**
+ * Returns the value of cookie name
+ */
+function cookie (pairs, name) {
+  let pair = pairs.find(pair => pair.startsWith(`${name}=`))
+  return pair && pair.slice(name.length + 1)
+}
+
+describe('tokens', () => {
+  before(done => appServer.listening ? done() : appServer.once('listening', done))
+
+  describe('cookie mode', () => {
+    let jar
+
+    it('should issue refresh and session cookies to a new user agent', () => {
+      return request('get', '/api/refresh')
+        .then(res => {
+          expect(res.status).to.equal(200)
+          jar = cookies(res)
+          expect(cookie(jar, 'refresh.jwt')).to.be.a('string')
+          expect(cookie(jar, 'session.jwt')).to.be.a('string')
+          expect(res.data.tracker).to.be.a('string')
+          return request('get', '/api/refresh', { cookies: jar })
+            .then(again => expect(again.data.tracker).to.equal(res.data.tracker))
+        })
+    })
+
+    it('should require the double submitted session token for mutations', () => {
+      let data = { topicId: 'learning', text: 'cookie mode' }
+      return request('post', '/api/articles', { cookies: jar, data })
+        .then(res => {
+          expect(res.status).to.equal(401)
+          return request('post', '/api/articles', { cookies: jar, data, token: cookie(jar, 'session.jwt') })
+        })
+        .then(res => expect(res.status).to.equal(201))
+    })
+  })
+
+  describe('cookie mode rotation', () => {
+    it('should replace the refresh cookie when it is used for a new session cookie', () => {
+      let refresh
+      return request('get', '/api/refresh')
+        .then(res => {
+          refresh = cookies(res).find(pair => pair.startsWith('refresh.jwt='))
+          return request('get', '/api/refresh', { cookies: [ refresh ] }) // no session cookie
+        })
+        .then(res => {
+          let replacement = cookie(cookies(res), 'refresh.jwt')
+          expect(cookie(cookies(res), 'session.jwt')).to.be.a('string')
+          expect(jsonWebToken.decode(replacement).fam).to.equal(jsonWebToken.decode(refresh.split('=')[1]).jti)
+        })
+    })
+  })
+
+  describe('header-only mode', () => {
+    let issued
+
+    it('should issue a refresh and session token pair without cookies', () => {
+      return request('post', '/api/tokens')
+        .then(res => {
+          expect(res.status).to.equal(200)
+          expect(cookies(res)).to.deep.equal([])
+          expect(res.data).to.include.keys([ 'tracker', 'handle', 'refreshToken', 'refreshExpiresAt', 'sessionToken', 'expiresAt' ])
+          issued = res.data
+        })
+    })
+
+    it('should authenticate with the session token header alone', () => {
+      return request('get', '/api/refresh', { token: issued.sessionToken })
+        .then(res => {
+          expect(res.status).to.equal(200)
+          expect(cookies(res)).to.deep.equal([])
+          expect(res.data).to.include({ tracker: issued.tracker, handle: issued.handle, mutation: true })
+          return request('post', '/api/articles', { token: issued.sessionToken, data: { topicId: 'learning', text: 'header mode' } })
+        })
+        .then(res => {
+          expect(res.status).to.equal(201)
+          expect(res.data.author.handle).to.equal(issued.handle)
+        })
+    })
+
+    it('should exchange the refresh token for a new session token and a replacement refresh token', () => {
+      return request('post', '/api/tokens/session', { token: issued.refreshToken })
+        .then(res => {
+          expect(res.status).to.equal(200)
+          expect(cookies(res)).to.deep.equal([])
+          expect(res.data).to.include({ tracker: issued.tracker, handle: issued.handle })
+          expect(jsonWebToken.decode(res.data.refreshToken).fam).to.equal(jsonWebToken.decode(issued.refreshToken).jti)
+          return request('get', '/api/refresh', { token: res.data.sessionToken })
+        })
+        .then(res => expect(res.data.tracker).to.equal(issued.tracker))
+    })
+
+    it('should only exchange refresh tokens', () => {
+      return request('post', '/api/tokens/session', { token: issued.sessionToken })
+        .then(res => expect(res.status).to.equal(401))
+    })
+
+    it('should not accept the refresh token as a session token', () => {
+      return request('get', '/api/refresh', { token: issued.refreshToken })
+        .then(res => expect(res.status).to.equal(401))
+    })
+
+    it('should refuse to exchange without a token', () => {
+      return request('post', '/api/tokens/session')
+        .then(res => expect(res.status).to.equal(401))
+    })
+
+    it('should abandon the identity for a new token pair in the body', () => {
+      let abandoned
+      return request('post', '/api/tokens')
+        .then(res => {
+          abandoned = res.data
+          return request('post', '/api/members/@me/abandon', { token: abandoned.sessionToken, data: {} })
+        })
+        .then(res => {
+          expect(res.status).to.equal(200)
+          expect(cookies(res)).to.deep.equal([])
+          expect(res.data).to.include.keys([ 'tracker', 'handle', 'refreshToken', 'refreshExpiresAt', 'sessionToken', 'expiresAt' ])
+          expect(res.data.tracker).to.not.equal(abandoned.tracker)
+          expect(res.data.previous).to.deep.equal({ tracker: abandoned.tracker, status: 'abandoned' })
+          return Promise.all([
+            request('get', '/api/refresh', { token: res.data.sessionToken }),
+            request('post', '/api/tokens/session', { token: res.data.refreshToken }),
+          ])
+        })
+        .then(([ refreshed, exchanged ]) => {
+          expect(refreshed.data).to.include({ tracker: exchanged.data.tracker, mutation: true })
+          expect(exchanged.data.tracker).to.not.equal(abandoned.tracker)
+          return request('get', '/api/refresh', { token: abandoned.sessionToken })
+        })
+        .then(res => expect(res.status).to.equal(401))
+    })
+  })
+
+  describe('header-only mode rotation', () => {
+    let first, second, third
+
+    /**
+     * Resolves to the response of exchanging refreshToken
+     */
+    function exchange (refreshToken) {
+      return request('post', '/api/tokens/session', { token: refreshToken })
+    }
+
+    before(() => request('post', '/api/tokens')
+      .then(res => { first = res.data })
+      .then(() => exchange(first.refreshToken))
+      .then(res => { second = res.data }))
+
+    it('should tolerate a parallel exchange of the same refresh token', () => {
+      return exchange(first.refreshToken)
+        .then(res => {
+          expect(res.status).to.equal(200)
+          expect(res.data.tracker).to.equal(first.tracker)
+          expect(res.data).to.not.have.property('refreshToken') // keep the replacement from the first exchange
+        })
+    })
+
+    it('should revoke the tracker and flag the member when a spent refresh token is used again', () => {
+      return exchange(second.refreshToken)
+        .then(res => {
+          third = res.data
+          return exchange(first.refreshToken) // neither current nor just replaced
+        })
+        .then(res => {
+          expect(res.status).to.equal(401)
+          return models.Member.getByHandle(first.handle)
+        })
+        .then(member => {
+          expect(member.flags.map(flag => flag.reason)).to.include('refresh token reused')
+          return exchange(third.refreshToken) // even the current refresh token is now revoked
+        })
+        .then(res => {
+          expect(res.status).to.equal(200)
+          expect(res.data.tracker).to.not.equal(first.tracker)
+          expect(res.data.previous).to.include({ status: 'revoked', tracker: first.tracker, reason: 'refresh token reused' })
+        })
+    })
+  })
+})
@@ -0,0 +1,93 @@
+const { expect } = require('chai')
+const topicRules = require('../../../shared/topic-rules')
+const { request } = require('../helpers')
+
+describe('topics', () => {
+  describe('rules', () => {
+    const topicIds = [ 'learning', 'politics', 'flame' ]
+    const flame = { id: 'flame', crossTopicReferences: false, posting: { maxLength: 20, markup: [ 'code' ] } }
+
+    it('should find markup kinds, not counting images as links', () => {
+      expect(topicRules.findMarkup('plain *emphasis* text')).to.deep.equal([])
+      expect(topicRules.findMarkup('see ![chart](/c.png)')).to.deep.equal([ 'images' ])
+      expect(topicRules.findMarkup('see https://example.com and `npm test`')).to.deep.equal([ 'links', 'code' ])
+      expect(topicRules.findMarkup('<b>bold</b>')).to.deep.equal([ 'html' ])
+      expect(topicRules.findMarkup('1 < 2 and 3 > 2')).to.deep.equal([])
+    })
+
+    it('should check length, markup and references to other topics', () => {
+      expect(topicRules.checkText(flame, '`npm test` #flame', topicIds)).to.deep.equal([])
+      expect(topicRules.checkText(flame, 'x'.repeat(21), topicIds)).to.deep.equal([
+        { field: 'text', message: 'must be at most 20 characters' },
+      ])
+      expect(topicRules.checkText(flame, 'www.example.com <i>', topicIds)).to.deep.equal([
+        { field: 'text', message: 'may not contain links or HTML in this topic' },
+      ])
+      expect(topicRules.checkText(flame, 'go to #politics', topicIds)).to.deep.equal([
+        { field: 'text', message: 'may not refer to other topics (politics)' },
+      ])
+      expect(topicRules.checkText({ id: 'learning' }, 'go to /topics/flame', topicIds)).to.deep.equal([])
+    })
+
+    it('should find article links', () => {
+      let id = 'A1B2C3D4-0000-4000-8000-000000000000'
+      expect(topicRules.articleReferences(`see /articles/${id} and /api/articles/${id}/thread`))
+        .to.deep.equal([ id.toLowerCase() ])
+    })
+  })
+
+  describe('api', () => {
+    let token
+
+    before(() => request('post', '/api/tokens')
+      .then(res => { token = res.data.sessionToken }))
+
+    it('should list topics with their rules, icon URL and no rate limits', () => {
+      return request('get', '/api/topics')
+        .then(res => {
+          let politics = res.data.data.find(topic => topic.id === 'politics')
+          expect(politics).to.include({ icon: 'politics', iconUrl: '/icons/topics/politics.svg', defaultSort: 'newest' })
+          expect(politics.crossTopicReferences).to.equal(false)
+          expect(politics.posting).to.deep.equal({ minAccountAgeHours: 24, maxLength: 5000, markup: [ 'links' ] })
+          expect(politics).not.to.have.property('limits')
+          return request('get', politics.iconUrl)
+        })
+        .then(res => expect(res.headers['content-type']).to.match(/^image\/svg\+xml/))
+    })
+
+    it('should refuse articles breaking the topic rules', () => {
+      let post = data => request('post', '/api/articles', { token, data })
+      return post({ topicId: 'flame', text: 'read https://example.com' })
+        .then(res => {
+          expect(res.status).to.equal(400)
+          expect(res.data.details).to.deep.equal([ { field: 'text', message: 'may not contain links in this topic' } ])
+          return post({ topicId: 'learning', text: 'an article to link to' })
+        })
+        .then(res => {
+          expect(res.status).to.equal(201)
+          return post({ topicId: 'flame', text: `as I said in /articles/${res.data.id}` })
+        })
+        .then(res => {
+          expect(res.status).to.equal(400)
+          expect(res.data.details).to.deep.equal([ { field: 'text', message: 'may not link to articles in other topics' } ])
+          return post({ topicId: 'politics', text: 'first post' })
+        })
+        .then(res => {
+          expect(res.status).to.equal(403)
+          expect(res.data).to.include({ code: 'account_too_new' })
+        })
+    })
+
+    it('should refuse edits breaking the topic rules', () => {
+      return request('post', '/api/articles', { token, data: { topicId: 'flame', text: 'try harder' } })
+        .then(res => {
+          expect(res.status).to.equal(201)
+          return request('put', `/api/articles/${res.data.id}`, { token, data: { text: 'see #learning' } })
+        })
+        .then(res => {
+          expect(res.status).to.equal(400)
+          expect(res.data.details).to.deep.equal([ { field: 'text', message: 'may not refer to other topics (learning)' } ])
+        })
+    })
+  })
+})
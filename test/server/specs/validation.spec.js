@@ -0,0 +1,53 @@
+const { expect } = require('chai')
+const { validate } = require('../../../shared/validation')
+const schemas = require('../../../shared/schemas')
+const validation = require('../../../server/validation')
+
+describe('validation', () => {
+  const schema = {
+    title: { type: 'string', required: true, maxLength: 5 },
+    tag: { type: 'string', oneOf: 'tags' },
+    secret: { type: 'string', trim: false, normalize: false },
+    flag: { type: 'boolean' },
+    filter: { type: 'object', nullable: true, fields: { id: { type: 'string', required: true } } },
+  }
+
+  it('should trim and normalize strings, counting characters rather than UTF-16 units', () => {
+    let result = validate(schema, { title: '  Café ', secret: ' é ' })
+    expect(result.details).to.deep.equal([])
+    expect(result.value).to.deep.equal({ title: 'Café', secret: ' é ' })
+    expect(validate(schema, { title: '😀😀😀😀😀' }).details).to.deep.equal([])
+    expect(validate(schema, { title: 'toolong' }).details).to.deep.equal([ { field: 'title', message: 'must be at most 5 characters' } ])
+  })
+
+  it('should reject missing, mistyped and unknown fields', () => {
+    expect(validate(schema, { title: '   ', flag: 'yes', extra: 1 }).details).to.deep.equal([
+      { field: 'extra', message: 'is not allowed' },
+      { field: 'title', message: 'is required' },
+      { field: 'flag', message: 'must be a boolean' },
+    ])
+    expect(validate(schema, 'text').details).to.deep.equal([ { field: '', message: 'must be an object' } ])
+  })
+
+  it('should check named choices only when they are supplied', () => {
+    expect(validate(schema, { title: 'a', tag: 'x' }).details).to.deep.equal([])
+    expect(validate(schema, { title: 'a', tag: 'x' }, { choices: { tags: [ 'y', 'z' ] } }).details)
+      .to.deep.equal([ { field: 'tag', message: 'must be one of y, z' } ])
+  })
+
+  it('should validate nested objects and allow null when nullable', () => {
+    expect(validate(schema, { title: 'a', filter: null }).value).to.deep.equal({ title: 'a', filter: null })
+    expect(validate(schema, { title: 'a', filter: { other: 'b' } }).details).to.deep.equal([
+      { field: 'filter.other', message: 'is not allowed' },
+      { field: 'filter.id', message: 'is required' },
+    ])
+  })
+
+  it('should check topic ids on the server and throw structured 400 errors', () => {
+    expect(validation.check(schemas.createArticle, { topicId: 'learning', text: ' hello ' }))
+      .to.deep.equal({ topicId: 'learning', text: 'hello' })
+    expect(() => validation.check(schemas.createArticle, { topicId: 'nope', text: 'hello' }))
+      .to.throw('topicId must be one of learning, politics, website, flame')
+      .with.property('details').deep.equal([ { field: 'topicId', message: 'must be one of learning, politics, website, flame' } ])
+  })
+})